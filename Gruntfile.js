@@ -36,6 +36,35 @@ module.exports = function(grunt) {
         }
       }
     },
+    build: {
+      src: 'backbone-validator-core.js',
+      dest: 'backbone-validator.js',
+      banner: [
+        '/**',
+        ' * Backbone.Validator',
+        ' *',
+        ' * Adds decoupled validator functionality that could be bound to model and view, as well as',
+        ' * validated plain hashes with built-in or custom validators. Extends Backbone.Model, Backbone.Collection and',
+        ' * Backbone.View globally, use `backbone-validator-core.js` to avoid it',
+        ' *',
+        ' * Built from `backbone-validator-core.js` via `grunt build`, do not edit it directly',
+        ' *',
+        ' * @author Maksim Horbachevsky',
+        ' */',
+        '',
+        ''
+      ].join('\n'),
+      footer: [
+        '  /**',
+        '   * Applying validator functionality to backbone\'s core',
+        '   */',
+        '  Validator.mixin(Backbone.Model);',
+        '  Validator.mixin(Backbone.Collection);',
+        '  Validator.mixin(Backbone.View);',
+        '',
+        ''
+      ].join('\n')
+    },
     uglify: {
       'backbone-validator-min.js': ['backbone-validator.js']
     },
@@ -43,6 +72,7 @@ module.exports = function(grunt) {
       all: [
         'Gruntfile.js',
         'spec/**/*spec.js',
+        'backbone-validator-core.js',
         'backbone-validator.js'
       ],
       options: {
@@ -52,7 +82,7 @@ module.exports = function(grunt) {
 
     version: {
       update: {
-        src: ['bower.json', 'package.json', 'backbone-validator.js']
+        src: ['bower.json', 'package.json', 'backbone-validator-core.js']
       }
     },
 
@@ -70,12 +100,22 @@ module.exports = function(grunt) {
   grunt.loadNpmTasks('grunt-version');
   grunt.loadNpmTasks('grunt-exec');
 
-  grunt.registerTask('test', ['jshint', 'karma:ci', 'qunit']);
+  grunt.registerTask('build', 'Building self-contained backbone-validator.js from the core', function() {
+    var config = grunt.config('build'),
+      source = grunt.file.read(config.src),
+      body = source.slice(source.indexOf('(function(factory)')),
+      end = body.lastIndexOf('  return Validator;');
+
+    grunt.file.write(config.dest, config.banner + body.slice(0, end) + config.footer + body.slice(end));
+    grunt.log.ok('File ' + config.dest + ' created.');
+  });
+
+  grunt.registerTask('test', ['build', 'jshint', 'karma:ci', 'qunit']);
   grunt.registerTask('default', ['test']);
 
   grunt.registerTask('release', 'Releasing new version with update version', function() {
     var type = this.args[0] || 'patch';
-    grunt.task.run(['test', 'version:update:' + type, 'uglify']);
+    grunt.task.run(['test', 'version:update:' + type, 'build', 'uglify']);
     grunt.log.ok('Run grunt exec:npm-publish to release npm module update');
   });
 };
@@ -2,7 +2,10 @@
  * Backbone.Validator
  *
  * Adds decoupled validator functionality that could be bound to model and view, as well as
- * validated plain hashes with built-in or custom validators
+ * validated plain hashes with built-in or custom validators. Extends Backbone.Model, Backbone.Collection and
+ * Backbone.View globally, use `backbone-validator-core.js` to avoid it
+ *
+ * Built from `backbone-validator-core.js` via `grunt build`, do not edit it directly
  *
  * @author Maksim Horbachevsky
  */
@@ -24,62 +27,334 @@
     version: '0.3.4',
 
     /**
-     * General validation method that gets attributes list and validations config and runs them all
+     * General validation method that gets attributes list and validations config and runs them all.
+     * Validations could be keyed by path (e.g. `address.city` or `contacts[0].email`) to validate nested
+     * values of plain objects, errors are reported under the same path. Values are transformed via rules'
+     * `transform` option before running validators
      *
      * @param attrs
      * @param validations
      * @param {Object} [context] - validator execution context
+     * @param {Object} [options] - validation options:
+     *   - `complete` - validate all attributes from validations even if they are missing in passed attributes
+     *   - `group` (or `scenario`) - run only rules of the group(s)
+     *   - `structured` - return error objects instead of messages
+     *   - `bail` - stop validating attribute after its first failed validator, `true` for all attributes or list
+     *     of attribute names. Could be overridden per rule via `bail` option
+     *   - `abortEarly` - stop validation at the first invalid attribute
+     *   - `transform` - pass `false` to skip rules' transforms, e.g. when attributes are already sanitized
+     *   - `warnings` - hash that collects failures of non-blocking rules, i.e. ones with `severity` option set to
+     *     `warning` or `info`. Such failures are not returned as errors
+     *   - `state` - the whole "would-be" state (e.g. model attributes merged with passed ones) that is passed
+     *     into validators along with validated attributes
      * @return {*} null if validation passed, errors object if not
      */
-    validate: function(attrs, validations, context) {
+    validate: function(attrs, validations, context, options) {
       var errors = {};
 
-      _.each(attrs, function(attrValue, attrName) {
-        var validation = validations[attrName];
+      options = _.extend({}, options, { validator: this });
 
-        if (validation) {
-          var error = this._validateAll(validation, attrName, attrValue, context, attrs);
+      _.find(validations, function(validation, attrName) {
+        if (validation && (options.complete || hasPath(attrs, attrName))) {
+          var value = getPath(attrs, attrName),
+            error;
 
-          if (error.length) {
-            errors[attrName] = _.uniq(error);
+          if (options.transform !== false) {
+            value = transformValue(validation, value, context, options.state || attrs, options);
           }
+
+          error = this._validateAll(validation, attrName, value, context, attrs, options);
+          mergeErrors(errors, groupErrors(error, attrName));
+        }
+
+        return options.abortEarly && _.size(errors);
+      }, this);
+
+      return _.size(errors) ? errors : null;
+    },
+
+    /**
+     * Runs model-level validators, i.e. functions that concern the whole state rather than single attribute:
+     *
+     *         Backbone.Validator.validateModel(attrs, [
+     *           function(state) {
+     *             return !!(state.phone || state.email) || 'Either phone or email should be provided';
+     *           }
+     *         ]);
+     *
+     * Function is called with the state and validation options and returns `true` (or nothing) if state is valid,
+     * otherwise - error message that is reported under `base` key, or hash of errors keyed by attribute names
+     * (`base` included), e.g. `{ total: 'Does not match amount', amount: ['Does not match total'] }`.
+     *
+     * Validator could be also specified as `{ fn: function(state) {}, attrs: ['phone', 'email'], on: 'contacts' }`
+     * hash, where `attrs` are attributes it concerns (see `Model#validate()`) and `on` - its group(s). Validators
+     * without `on` option belong to default group, same as rules
+     *
+     * @param {Object} state - validated state
+     * @param {Function|Object|Array} validators - model-level validator(s)
+     * @param {Object} [context] - validator execution context
+     * @param {Object} [options] - validation options
+     * @return {*} null if validation passed, errors object if not
+     */
+    validateModel: function(state, validators, context, options) {
+      var errors = {};
+
+      options = _.extend({}, options, { validator: this });
+
+      _.each(_.flatten([validators || []]), function(validator) {
+        var rule = _.isFunction(validator) ? { fn: validator } : validator,
+          result;
+
+        if (!inGroup(rule, options.group || options.scenario, this.defaultGroup)) {
+          return;
+        }
+
+        result = rule.fn.call(context || this, state, options);
+
+        if (result != null && result !== true) {
+          mergeErrors(errors, modelErrors(result, options));
         }
       }, this);
 
       return _.size(errors) ? errors : null;
     },
 
-    _validateAll: function(validations, attrName, attrValue, context, allAttrs) {
+    /**
+     * Applies transforms from rules' `transform` (or `sanitize`) option to attributes. Transform is a name of
+     * built-in one from `transforms` (`trim`, `toLowerCase`, `toUpperCase`, `toNumber`, `toDate`), custom function
+     * or list of them:
+     *
+     *         Backbone.Validator.sanitize({ email: ' John@Example.com ' }, {
+     *           email: { transform: ['trim', 'toLowerCase'], format: 'email' }
+     *         });
+     *         // -> { email: 'john@example.com' }
+     *
+     * Same transforms are applied by `validate` to values before running validators
+     *
+     * @param {Object} attrs
+     * @param {Object} validations
+     * @param {Object} [context] - transforms execution context
+     * @param {Object} [options] - validation options
+     * @return {Object} copy of attributes with transformed values
+     */
+    sanitize: function(attrs, validations, context, options) {
+      var result = _.clone(attrs);
+
+      options = _.extend({}, options, { validator: this });
+
+      _.each(validations, function(validation, attrName) {
+        if (validation && _.has(attrs, attrName)) {
+          result[attrName] = transformValue(validation, attrs[attrName], context || this, options.state || attrs, options);
+        }
+      }, this);
+
+      return result;
+    },
+
+    /**
+     * Coerces attributes to types from rules' `type` option using `coercers`, e.g. numeric string to number
+     * for `type: 'number'` or `"true"` to `true` for `type: 'boolean'`. Values that already have expected type
+     * or could not be coerced are left as is, so validators still report them:
+     *
+     *         Backbone.Validator.coerce({ age: '42', admin: 'false' }, {
+     *           age: { type: 'number' },
+     *           admin: { type: 'boolean' }
+     *         });
+     *         // -> { age: 42, admin: false }
+     *
+     * @param {Object} attrs
+     * @param {Object} validations
+     * @return {Object} copy of attributes with coerced values
+     */
+    coerce: function(attrs, validations) {
+      var result = _.clone(attrs);
+
+      _.each(validations, function(validation, attrName) {
+        if (validation && _.has(result, attrName)) {
+          result[attrName] = coerceValue(validation, result[attrName], this);
+        }
+      }, this);
+
+      return result;
+    },
+
+    /**
+     * Builds default attributes from rules' `default` option. Function defaults are called with passed
+     * context, so they could return fresh objects or arrays for each model:
+     *
+     *         var User = Backbone.Model.extend({
+     *           defaults: function() {
+     *             return Backbone.Validator.defaults(_.result(this, 'validation'), this);
+     *           }
+     *         });
+     *
+     * @param {Object} validations
+     * @param {Object} [context] - context of function defaults
+     * @return {Object}
+     */
+    defaults: function(validations, context) {
+      return _.inject(validations, function(memo, validation, attrName) {
+        var rule = _.find(_.flatten([validation || []]), function(rule) {
+          return _.has(rule, 'default');
+        });
+
+        if (rule) {
+          memo[attrName] = _.isFunction(rule['default']) ? rule['default'].call(context) : rule['default'];
+        }
+
+        return memo;
+      }, {});
+    },
+
+    /**
+     * Same as `validate`, but also waits for validators that return promises (thenables)
+     *
+     *         Backbone.Validator.validateAsync(attrs, validations).then(function(errors) {
+     *           ...
+     *         });
+     *
+     * @param attrs
+     * @param validations
+     * @param {Object} [context] - validator execution context
+     * @param {Object} [options] - validation options
+     * @return {Promise} resolved with null if validation passed, errors object if not
+     */
+    validateAsync: function(attrs, validations, context, options) {
+      getPromise(this);
+
+      var pending = [],
+          errors = this.validate(attrs, validations, context, _.extend({}, options, { pending: pending }));
+
+      return this._resolvePending(errors, pending, options && options.warnings);
+    },
+
+    _validateAll: function(validations, attrName, attrValue, context, allAttrs, options) {
       context = context || this;
+      options = options || {};
+
+      var bail = options.bail === true || _.contains(_.flatten([options.bail || []]), attrName),
+        errors = [],
+        warnings = [],
+        stopped = false;
+
+      _.each(_.flatten([validations || []]), function(validation) {
+        if (stopped || !inGroup(validation, options.group || options.scenario, this.defaultGroup) ||
+            !isApplicable(validation, attrValue, context, options.state || allAttrs)) {
+          return;
+        }
+
+        var validatorOptions = _.extend({}, options, { path: attrName, rule: validation }),
+          isWarning = !isBlocking(validation),
+          ruleBail = !isWarning && (_.has(validation, 'bail') ? validation.bail : bail),
+          list = isWarning ? warnings : errors;
+
+        _.chain(validation).omit(ruleOptions).each(function(attrExpectation, validatorName) {
+          if (stopped) {
+            return;
+          }
 
-      return _.inject(_.flatten([validations || []]), function(errors, validation) {
-        _.chain(validation).omit('message').each(function(attrExpectation, validatorName) {
           var validator = this._validators[validatorName];
 
           if (!validator) {
             throw new Error('Missed validator: ' + validatorName);
           }
 
-          var result = validator.fn.apply(context, [attrValue, attrExpectation, allAttrs]);
-          if (result !== true) {
-            var error = validation.message ||
-                result ||
-                Validator.createMessage(attrName, attrValue, attrExpectation, validatorName, context) ||
-                validator.message ||
-                'Invalid';
+          var createError = _.bind(this._createError, this, validation, validatorName, attrName, attrValue, attrExpectation, context, options),
+              result = validator.fn.apply(context, [attrValue, attrExpectation, allAttrs, options.state || allAttrs, validatorOptions]);
 
-            if (_.isFunction(error)) {
-              error = error.apply(context, [attrName, attrValue, attrExpectation, validatorName]);
+          if (isThenable(result)) {
+            if (options.pending) {
+              options.pending.push(this._waitFor(result, attrName, createError, isWarning));
             }
+          } else if (result instanceof NestedErrors) {
+            list.push(result);
+            stopped = ruleBail;
+          } else if (result !== true) {
+            list.push(createError(result));
+            stopped = ruleBail;
+          }
+        }, this).value();
+      }, this);
+
+      if (options.warnings) {
+        mergeErrors(options.warnings, groupErrors(warnings, attrName));
+      }
+
+      return errors;
+    },
+
+    /**
+     * Creates error message, or structured error object if `structured` option is passed:
+     *
+     *         { validator: 'maxLength', code: 'maxLength', message: 'Is too long', expectation: 3, value: 'Samuel', path: 'name' }
+     *
+     * @private
+     */
+    _createError: function(validation, validatorName, attrName, attrValue, attrExpectation, context, options, result) {
+      var error = validation.message ||
+          result ||
+          this.createMessage(attrName, attrValue, attrExpectation, validatorName, context) ||
+          this._validators[validatorName].message ||
+          'Invalid';
+
+      if (_.isFunction(error)) {
+        error = error.apply(context, [attrName, attrValue, attrExpectation, validatorName]);
+      }
+
+      error = this.formatMessage(error, attrName, attrValue, attrExpectation, validatorName, context);
+
+      if (options.structured) {
+        error = {
+          validator: validatorName,
+          code: validation.code || validatorName,
+          message: error,
+          expectation: attrExpectation,
+          value: attrValue,
+          path: attrName
+        };
+
+        if (validation.severity) {
+          error.severity = validation.severity;
+        }
+      }
+
+      return error;
+    },
+
+    /**
+     * Wraps async validator result into promise that resolves with attribute name and error (if any).
+     * Rejected promises are treated as failed validation. Results of non-blocking rules are flagged as warnings
+     * @private
+     */
+    _waitFor: function(result, attrName, createError, isWarning) {
+      return getPromise(this).resolve(result).then(function(asyncResult) {
+        return asyncResult === true ? null : createError(asyncResult);
+      }, function(reason) {
+        return createError(_.isString(reason) ? reason : false);
+      }).then(function(error) {
+        return { name: attrName, error: error, warning: !!isWarning };
+      });
+    },
+
+    /**
+     * Merges results of pending async validators into already collected errors, warnings are merged into
+     * `warnings` hash if it's passed
+     * @private
+     */
+    _resolvePending: function(errors, pending, warnings) {
+      return getPromise(this).all(pending).then(function(results) {
+        errors = _.clone(errors) || {};
 
-            error = Validator.formatMessage(error, attrName, attrValue, attrExpectation, validatorName, context);
+        _.each(results, function(result) {
+          var target = result.warning ? warnings : errors;
 
-            errors.push(error);
+          if (result.error && target) {
+            mergeErrors(target, _.object([result.name], [[result.error]]));
           }
-        }, this).value();
+        });
 
-        return errors;
-      }, [], this);
+        return _.size(errors) ? errors : null;
+      });
     },
 
     /**
@@ -89,6 +364,17 @@
      *           return value.length >= expectation;
      *         }, 'Field is too short');
      *
+     * Validator function receives attribute value, expectation, validated attributes, the whole "would-be" state
+     * (e.g. model attributes merged with validated ones) that is useful for cross-field validation, and validation
+     * options, where `validator` is the validator instance running validation, `path` is validated attribute name and
+     * `rule` is validated rule.
+     *
+     * To report errors of nested values (e.g. array items) validator could return `new Validator.NestedErrors(errors)`
+     * where errors are keyed by full paths, e.g. `{ 'emails[2]': ['Does not match format'] }`.
+     *
+     * Validator function could also return a promise (thenable) that is resolved with validation result. Such
+     * validators are skipped by `validate` and awaited by `validateAsync`
+     *
      * @param {String} validatorName - validator name
      * @param {Function} validatorFn - validation function
      * @param {String} [errorMessage] - error message
@@ -109,6 +395,89 @@
     _validators: {
     },
 
+    /**
+     * Creates independent validator that inherits validators, formats, types, transforms, coercers and hooks of the
+     * current one, but has its own registry, so adding validators/formats or overriding hooks does not affect other
+     * validators:
+     *
+     *         var validator = Backbone.Validator.create({
+     *           createMessage: function(attrName, attrValue, attrExpectation, validatorName) { ... }
+     *         });
+     *
+     *         validator.add('custom', function(value, expectation) { ... });
+     *
+     *         var User = Backbone.Model.extend({
+     *           validator: validator
+     *         });
+     *
+     * Validator also gets own `ValidatedModel`, `ValidatedView` and `ValidatedCollection` base classes
+     *
+     * @param {Object} [props] - properties (e.g. hooks) to override
+     * @return {Object}
+     */
+    create: function(props) {
+      var validator = _.extend({}, this, {
+        _validators: _.clone(this._validators),
+        formats: _.clone(this.formats),
+        types: _.clone(this.types),
+        transforms: _.clone(this.transforms),
+        coercers: _.clone(this.coercers),
+        ViewCallbacks: _.clone(this.ViewCallbacks),
+        ModelCallbacks: _.clone(this.ModelCallbacks)
+      }, props);
+
+      return _.extend(validator, baseClasses(validator));
+    },
+
+    /**
+     * Extends model or view class with validation functionality, so validation could be adopted without patching
+     * Backbone globally:
+     *
+     *         var User = Backbone.Validator.mixin(Backbone.Model.extend({
+     *           validation: { ... }
+     *         }));
+     *
+     * When called on validator created via `create()` the class will also use this validator. Methods defined by
+     * the class itself are preserved, own `#set()` and `#save()` are wrapped, so they are still called.
+     *
+     * With `coerce` option model class also gets defaults from rules' `default` option, coerces parsed payloads and
+     * set attributes to types from `validation` (see `coerce()`). Own `defaults`, `parse` and `validationOptions` of
+     * the class are preserved, so it should be applied to the final class
+     *
+     * @param {Function} Class - Backbone.Model, Backbone.Collection or Backbone.View (or their subclass)
+     * @param {Object} [options] - mixin options, e.g. `{ coerce: true }`
+     * @return {Function} extended class
+     */
+    mixin: function(Class, options) {
+      var proto = Class.prototype,
+        extension = _.find(['View', 'Collection'], function(name) {
+          return Class === Backbone[name] || proto instanceof Backbone[name];
+        }) || 'Model',
+        methods = this.Extensions[extension],
+        wrappers = extension === 'Model' ? { save: asyncSave, set: sanitizingSet } : {},
+        own = Class === Backbone[extension] ? [] : _.filter(_.keys(methods), function(name) {
+          return _.has(proto, name);
+        });
+
+      _.each(wrappers, function(wrap, name) {
+        if (!proto[name].isValidatorWrapper) {
+          proto[name] = wrap(proto[name]);
+        }
+      });
+
+      _.extend(proto, _.omit(methods, own, _.keys(wrappers)));
+
+      if (this !== Validator) {
+        proto.validator = this;
+      }
+
+      if (extension === 'Model' && options && options.coerce) {
+        coercible(proto);
+      }
+
+      return Class;
+    },
+
     /**
      * Fetching attributes to validate
      * @return {*}
@@ -143,7 +512,42 @@
      */
     formatMessage: function(message /* attrName, attrValue, attrExpectation, validatorName, context */) {
       return message;
-    }
+    },
+
+    /**
+     * Override this hook to parse dates used by date validators, e.g. using moment.js. By default handles
+     * Date objects, timestamps and ISO 8601 strings. Date-only strings (`YYYY-MM-DD`) are parsed as local
+     * midnight, so they are compared with local dates (e.g. by age validators) without timezone shift
+     *
+     * @param {*} value
+     * @return {Date|null} - parsed date or null if value is not a valid date
+     */
+    parseDate: function(value) {
+      var date = null,
+        parts = _.isString(value) && value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+
+      if (_.isDate(value)) {
+        date = value;
+      } else if (parts) {
+        date = new Date(2000, 0, 1);
+        date.setFullYear(+parts[1], parts[2] - 1, +parts[3]);
+        date = date.getMonth() === parts[2] - 1 ? date : null;
+      } else if (_.isNumber(value) || _.isString(value) && this.formats.iso8601.test(value)) {
+        date = new Date(value);
+      }
+
+      return date && !isNaN(date.getTime()) ? date : null;
+    },
+
+    /**
+     * Group of rules that have no `on` option
+     */
+    defaultGroup: 'default',
+
+    /**
+     * Promise implementation used for async validation. Override it in environments without native promises
+     */
+    Promise: typeof Promise === 'function' ? Promise : null
   };
 
 
@@ -161,8 +565,10 @@
        * particular attribute
        *
        * @param {Backbone.Model} [model] - model that will be bound to the view
-       * @param {Object} options - optional callbacks `onValidField` and `onInvalidField`. If not passed
-       * will be retrieved from the view instance or global `Backbone.Validator.ViewCallbacks` object
+       * @param {Object} options - optional callbacks `onValidField` and `onInvalidField`, as well as `onModelInvalid`
+       * and `onModelValid` called with errors of model-level validators reported under `base` key, and
+       * `onFieldWarning` called with failures of non-blocking (`warning` or `info` severity) rules. If not passed
+       * will be retrieved from the view instance or `ViewCallbacks` of validator used by the view (or model)
        */
       bindValidation: function(model, options) {
         model = model || this.model;
@@ -171,9 +577,12 @@
           throw 'Model is not provided';
         }
 
-        this.listenTo(model, 'validated', function(model, attributes, errors) {
-          var callbacks = _.extend({}, Validator.ViewCallbacks, _.pick(this, 'onInvalidField', 'onValidField'), options);
+        this.listenTo(model, 'validated', function(model, attributes, errors, warnings) {
+          var validator = _.result(this, 'validator') || getValidator(model),
+            callbacks = _.extend({}, validator.ViewCallbacks,
+              _.pick(this, 'onInvalidField', 'onValidField', 'onFieldWarning', 'onModelInvalid', 'onModelValid'), options);
           errors = errors || {};
+          warnings = warnings || {};
 
           _.each(attributes, function(value, name) {
             var attrErrors = errors[name];
@@ -183,7 +592,19 @@
             } else {
               callbacks.onValidField.call(this, name, value, model);
             }
+
+            if (warnings[name] && callbacks.onFieldWarning) {
+              callbacks.onFieldWarning.call(this, name, value, warnings[name], model);
+            }
           }, this);
+
+          if (errors.base && errors.base.length) {
+            if (callbacks.onModelInvalid) {
+              callbacks.onModelInvalid.call(this, errors.base, model);
+            }
+          } else if (callbacks.onModelValid) {
+            callbacks.onModelValid.call(this, model);
+          }
         });
       }
     },
@@ -195,56 +616,124 @@
        *
        * @param {Object|Array} [attributes] - optional hash/array of attributes to validate
        * @param {Object} [options] - standard Backbone.Model's options list, including `suppress` option. When it's
-       * set to true method will store errors into `#errors` property, but return null, so model seemed to be valid
+       * set to true method will store errors into `#errors` property, but return null, so model seemed to be valid.
+       * With `complete` option all attributes from `validation` are validated against model's attributes merged with
+       * passed ones. Defaults for options could be specified via model's `validationOptions` property.
+       * Model-level validators from `modelValidation` property are run against the "would-be" state on full
+       * validation (no attributes passed or `complete` option), on partial one - only those which `attrs` include
+       * one of validated attributes
        *
        * @return {null|Object} - null if model is valid, otherwise - collection of errors associated with attributes
        */
       validate: function(attributes, options) {
-        var validation = _.result(this, 'validation') || {},
-          attrs = Validator.getAttrsToValidate(this, attributes),
-          errors = Validator.validate(attrs, validation, this);
-
-        options = options || {};
+        var params = prepareValidation(this, attributes, options),
+          attrs = params.attrs,
+          errors, warnings, baseErrors, dependents, siblings, revalidateOptions;
+
+        options = params.options;
+        siblings = options.revalidate === false ? [] : uniqueSiblings(this, params.validation, attrs);
+        errors = params.validator.validate(attrs, params.validation, this, options);
+        baseErrors = errors && options.abortEarly ? null :
+          params.validator.validateModel(options.state, params.modelValidation, this, options);
+        errors = withModelErrors(errors, baseErrors);
+        errors = processErrors(this, errors, options);
+        warnings = this.validationWarnings = cleanErrors(options.warnings);
+        attrs = reportedAttrs(attrs, baseErrors, options.state);
+        dependents = options.revalidate === false ? [] : confirmations(params.validation, attrs);
+        revalidateOptions = _.extend(_.pick(options, 'group', 'scenario', 'processErrors'), {
+          revalidate: false
+        });
 
-        errors = options.processErrors ?
-          options.processErrors(errors) :
-          Validator.ModelCallbacks.processErrors(errors);
+        if (!options.silent && (errors || !_.size(options.pending))) {
+          _.defer(_.bind(this.triggerValidated, this), attrs, errors, warnings);
+        }
 
-        if (!options.silent) {
-          _.defer(_.bind(this.triggerValidated, this), attrs, errors);
+        if (!options.silent && dependents.length) {
+          _.defer(_.bind(this.validate, this), dependents, revalidateOptions);
         }
 
-        return options && options.suppress ? null : errors;
+        _.each(options.silent ? [] : siblings, function(sibling) {
+          _.defer(_.bind(sibling.model.validate, sibling.model), sibling.attrs, revalidateOptions);
+        });
+
+        return options.suppress ? null : errors;
+      },
+
+      /**
+       * Async version of `#validate()` that also waits for validators returning promises
+       *
+       * @param {Object|Array} [attributes] - optional hash/array of attributes to validate
+       * @param {Object} [options] - same options as for `#validate()`
+       *
+       * @return {Promise} - resolved with null if model is valid, otherwise - with collection of errors
+       */
+      validateAsync: function(attributes, options) {
+        var model = this,
+          params = prepareValidation(this, attributes, options),
+          baseErrors = params.validator.validateModel(params.options.state, params.modelValidation, this, params.options),
+          attrs = reportedAttrs(params.attrs, baseErrors, params.options.state);
+
+        options = params.options;
+
+        return params.validator.validateAsync(params.attrs, params.validation, this, options).then(function(errors) {
+          var warnings = model.validationWarnings = cleanErrors(options.warnings);
+          errors = processErrors(model, withModelErrors(errors, baseErrors), options);
+
+          if (!options.silent) {
+            model.triggerValidated(attrs, errors, warnings);
+          }
+
+          return options.suppress ? null : errors;
+        });
       },
 
+      /**
+       * Override Backbone's method to wait for async validators before syncing. If any validator returned a
+       * promise, returns promise that is resolved with `#save()` result once validation passed, or with `false`
+       * if it failed
+       */
+      save: asyncSave(Backbone.Model.prototype.save),
+
+      /**
+       * Override Backbone's method to store sanitized values when `sanitize` option is passed (or set via model's
+       * `validationOptions`). With `validate` option values are stored only if validation of sanitized values passes.
+       * With `coerce` option values are coerced to types from `validation` (see `Validator.coerce()`) beforehand
+       */
+      set: sanitizingSet(Backbone.Model.prototype.set),
+
       /**
        * Override Backbone's method to pass properly fetched attributes list
        * @private
        */
       _validate: function(attributes, options) {
         if (!options.validate || !this.validate) return true;
-        var attrs = Validator.getAttrsToValidate(this, attributes),
-          errors = this.validationError = this.validate(attrs, options) || null;
+        var pending = this._pendingValidators,
+          errors;
+
+        delete this._pendingValidators;
+        errors = this.validationError = this.validate(attributes, pending ? _.extend({}, options, { pending: pending }) : options) || null;
 
         if (errors) {
           this.trigger('invalid', this, errors, _.extend(options || {}, { validationError: errors }));
         }
 
-        return !errors;
+        return !errors && !_.size(pending);
       },
 
       /**
        * Triggering validation results (invalid/valid) with errors list if nay
        * @param {Object} attributes - validated attributes
        * @param {Object|null} errors
+       * @param {Object|null} [warnings] - failures of non-blocking rules
        */
-      triggerValidated: function(attributes, errors) {
-        var attrs = Validator.getAttrsToValidate(this, attributes),
-          errs = cleanErrors(errors);
+      triggerValidated: function(attributes, errors, warnings) {
+        var attrs = withPaths(getValidator(this).getAttrsToValidate(this, attributes), _.result(this, 'validation')),
+          errs = cleanErrors(errors),
+          warns = cleanErrors(warnings);
 
         this.validationError = errs;
-        this.trigger('validated', this, attrs, errs);
-        this.trigger('validated:' + (errs ? 'invalid' : 'valid'), this, attrs, errs);
+        this.trigger('validated', this, attrs, errs, warns);
+        this.trigger('validated:' + (errs ? 'invalid' : 'valid'), this, attrs, errs, warns);
       },
 
       /**
@@ -255,70 +744,1006 @@
        * @return {boolean}
        */
       isValid: function(attributes, options) {
-        var attrs = Validator.getAttrsToValidate(this, attributes);
-        return !this.validate || !this.validate(attrs, options);
+        return !this.validate || !this.validate(attributes, options);
+      },
+
+      /**
+       * Async version of `#isValid()` that also waits for validators returning promises
+       *
+       * @param {Object} [attributes] - optional list of attributes to validate
+       * @param {Object} [options] - standard Backbone.Model's options list
+       * @return {Promise} - resolved with boolean
+       */
+      isValidAsync: function(attributes, options) {
+        return this.validateAsync(attributes, options).then(function(errors) {
+          return !errors;
+        });
       }
-    }
-  };
+    },
 
-  /**
-   * Alternative to _.pick() - but also picks undefined/null/false values
-   *
-   * @param {Object} object - source hash
-   * @param {Array} keys - needed keys to pick
-   * @return {Object}
-   */
-  var pick = function(object, keys) {
-    return _.inject(_.flatten([keys]), function(memo, key) {
-      memo[key] = object[key];
-      return memo;
-    }, {});
-  };
+    Collection: {
 
-  /**
-   * Cleanup errors object from empty error values
-   * @param allErrors
-   */
-  function cleanErrors(allErrors) {
-    var errors = _.inject(allErrors, function(memo, fieldErrors, attr) {
-      if (fieldErrors.length) {
-        memo[attr] = _.isString(fieldErrors) ? [fieldErrors] : fieldErrors;
-      }
+      /**
+       * Validates collection's models and runs collection-level rules from `validation` hash. Rules are keyed by
+       * models' attribute names (value is a list of attribute values of all models), or by `models` to validate
+       * the list of models itself:
+       *
+       *         validation: {
+       *           models: { minItems: 1 },
+       *           email: { uniqueItems: true }
+       *         }
+       *
+       * Errors of models are reported under `models[<index>].<attribute>` paths
+       *
+       * @param {Object} [options] - validation options, also passed into models' `#validate()`
+       * @return {null|Object} - null if collection is valid, otherwise - collection of errors
+       */
+      validate: function(options) {
+        var validation = _.result(this, 'validation') || {},
+          attrs = collectionAttrs(this, validation),
+          errors = {};
 
-      return memo;
-    }, {});
+        options = _.extend({}, _.result(this, 'validationOptions'), options);
 
-    return _.size(errors) ? errors : null;
-  }
+        _.each(this.models, function(model, index) {
+          var modelErrors = _.isFunction(model.validate) && model.validate(null, _.extend({}, options, { revalidate: false }));
 
-  Validator.ViewCallbacks = {
-    onValidField: function(name /*, value, model*/) {
-      var input = this.$('input[name="' + name + '"]');
+          _.each(modelErrors, function(attrErrors, attrName) {
+            errors['models[' + index + '].' + attrName] = attrErrors;
+          });
+        });
 
-      input.removeClass('error');
-      input.next('.error-text').remove();
-    },
+        _.extend(errors, getValidator(this).validate(attrs, validation, this, _.extend({}, options, { complete: true })));
+        errors = _.size(errors) ? errors : null;
 
-    onInvalidField: function(name, value, errors /*, model*/) {
-      var input = this.$('input[name="' + name + '"]');
+        if (!options.silent) {
+          this.triggerValidated(errors);
+        }
 
-      input.next('.error-text').remove();
-      input.addClass('error').after('<div class="error-text">' + errors.join(', ') + '</div>');
-    }
-  };
+        return options.suppress ? null : errors;
+      },
 
-  Validator.ModelCallbacks = {
-    processErrors: function(errors) {
-      return errors;
+      /**
+       * Triggering validation results (invalid/valid) with errors list if any. Events are prefixed with `collection:`,
+       * since collection also proxies `validated` events of its models
+       * @param {Object|null} errors
+       */
+      triggerValidated: function(errors) {
+        var errs = cleanErrors(errors);
+
+        this.validationError = errs;
+        this.trigger('collection:validated', this, errs);
+        this.trigger('collection:validated:' + (errs ? 'invalid' : 'valid'), this, errs);
+      },
+
+      /**
+       * Checks if collection and its models are valid
+       *
+       * @param {Object} [options] - validation options
+       * @return {boolean}
+       */
+      isValid: function(options) {
+        return !this.validate(options);
+      }
     }
   };
 
   /**
-   * Built-in validators
-   * @type {Array}
+   * Creates async-aware `#save()` that delegates to passed one. Pending validators are collected via model's
+   * `_pendingValidators` by the first `#_validate()` call only, since Backbone reuses save options for `#set()`
+   * of server attributes and `#sync()`
+   *
+   * @param {Function} parentSave - wrapped `#save()`, e.g. own method of model class
+   * @return {Function}
    */
-  var validators = [
-    {
+  function asyncSave(parentSave) {
+    var save = function(key, val, options) {
+      var model = this,
+        pending = [],
+        attrs, result, warnings;
+
+      if (key == null || typeof key === 'object') {
+        attrs = key;
+        options = val;
+      } else {
+        (attrs = {})[key] = val;
+      }
+
+      options = _.extend({ validate: true }, options);
+      this._pendingValidators = pending;
+
+      try {
+        result = parentSave.call(this, attrs, options);
+      } finally {
+        delete this._pendingValidators;
+      }
+
+      if (result !== false || !pending.length || this.validationError) {
+        return result;
+      }
+
+      warnings = _.clone(this.validationWarnings) || {};
+
+      return getValidator(this)._resolvePending(null, pending, warnings).then(function(errors) {
+        errors = processErrors(model, errors, options);
+        warnings = model.validationWarnings = cleanErrors(warnings);
+
+        if (!options.silent) {
+          model.triggerValidated(getValidator(model).getAttrsToValidate(model, attrs), errors, warnings);
+        }
+
+        if (errors) {
+          model.trigger('invalid', model, errors, _.extend(options, { validationError: errors }));
+          return false;
+        }
+
+        return parentSave.call(model, attrs, _.extend(options, { validate: false }));
+      });
+    };
+
+    save.isValidatorWrapper = true;
+    return save;
+  }
+
+  /**
+   * Creates coercing and sanitizing `#set()` that delegates to passed one. Already sanitized attributes
+   * (`transform: false` option) are passed as is
+   *
+   * @param {Function} parentSet - wrapped `#set()`, e.g. own method of model class
+   * @return {Function}
+   */
+  function sanitizingSet(parentSet) {
+    var set = function(key, val, options) {
+      var attrs, settings;
+
+      if (key == null || typeof key === 'object') {
+        attrs = key;
+        options = val;
+      } else {
+        (attrs = {})[key] = val;
+      }
+
+      options = options || {};
+      settings = _.extend({}, _.result(this, 'validationOptions'), options);
+
+      if (attrs && !options.unset && settings.coerce) {
+        attrs = getValidator(this).coerce(attrs, _.result(this, 'validation'), this);
+      }
+
+      if (attrs && !options.unset && settings.sanitize && options.transform !== false) {
+        attrs = getValidator(this).sanitize(attrs, _.result(this, 'validation'), this, {
+          state: _.extend({}, this.attributes, attrs)
+        });
+        options = _.extend({}, options, { transform: false });
+      }
+
+      return parentSet.call(this, attrs, options);
+    };
+
+    set.isValidatorWrapper = true;
+    return set;
+  }
+
+  /**
+   * Alternative to _.pick() - but also picks undefined/null/false values and resolves nested paths
+   *
+   * @param {Object} object - source hash
+   * @param {Array} keys - needed keys (or paths) to pick
+   * @return {Object}
+   */
+  var pick = function(object, keys) {
+    return _.inject(_.flatten([keys]), function(memo, key) {
+      memo[key] = getPath(object, key);
+      return memo;
+    }, {});
+  };
+
+  /**
+   * Splits attribute path into list of keys, e.g. `profile.contacts[0].email` -> ['profile', 'contacts', '0', 'email']
+   *
+   * @param {String} path
+   * @return {Array}
+   */
+  function parsePath(path) {
+    return _.compact(String(path).replace(/\[([^\]]*)\]/g, '.$1').split('.'));
+  }
+
+  /**
+   * Gets value by attribute name or nested path
+   *
+   * @param {Object} object - source hash
+   * @param {String} path - attribute name or path
+   * @return {*}
+   */
+  function getPath(object, path) {
+    if (!object || _.has(object, path)) {
+      return object && object[path];
+    }
+
+    return _.inject(parsePath(path), function(memo, key) {
+      return memo == null ? undefined : memo[key];
+    }, object);
+  }
+
+  /**
+   * Checks if hash has attribute or root attribute of the path
+   *
+   * @param {Object} object - source hash
+   * @param {String} path - attribute name or path
+   * @return {boolean}
+   */
+  function hasPath(object, path) {
+    return !!object && (_.has(object, path) || _.has(object, parsePath(path)[0]));
+  }
+
+  /**
+   * Extends attributes with values of nested paths from validations, so these paths
+   * are reported along with their root attributes
+   *
+   * @param {Object} attrs - validated attributes
+   * @param {Object} [validations]
+   * @return {Object}
+   */
+  function withPaths(attrs, validations) {
+    var paths = _.filter(_.keys(validations || {}), function(path) {
+      return !_.has(attrs, path) && hasPath(attrs, path);
+    });
+
+    return paths.length ? _.extend({}, attrs, pick(attrs, paths)) : attrs;
+  }
+
+  /**
+   * Rule keys that are treated as options rather than validators
+   * @type {Array}
+   */
+  var ruleOptions = ['message', 'code', 'if', 'unless', 'on', 'strict', 'bail', 'severity', 'transform', 'sanitize', 'default'];
+
+  /**
+   * Applies transforms of attribute's rules to value
+   *
+   * @param {Object|Array} validations - attribute's rule(s)
+   * @param {*} value
+   * @param {Object} context - transforms execution context
+   * @param {Object} state - "would-be" state
+   * @param {Object} options - validation options
+   * @return {*} transformed value
+   */
+  function transformValue(validations, value, context, state, options) {
+    return _.inject(_.flatten([validations || []]), function(memo, validation) {
+      return _.inject(_.flatten([validation.transform || [], validation.sanitize || []]), function(result, transform) {
+        var fn = _.isFunction(transform) ? transform : options.validator.transforms[transform];
+
+        if (!fn) {
+          throw new Error('Missed transform: ' + transform);
+        }
+
+        return fn.call(context, result, state, options);
+      }, memo);
+    }, value);
+  }
+
+  /**
+   * Normalizes expectation of `type` validator, that could be type, list of types or
+   * `{ type: 'string', nullable: true }` hash
+   *
+   * @param {*} expectation
+   * @return {Object} - `{ types: [...], nullable: Boolean }`
+   */
+  function typeSettings(expectation) {
+    var isHash = _.isObject(expectation) && !_.isFunction(expectation) && !_.isArray(expectation);
+
+    return {
+      types: _.flatten([isHash ? expectation.type : expectation]),
+      nullable: isHash && !!expectation.nullable
+    };
+  }
+
+  /**
+   * Coerces value to the first of types from attribute's rules it could be converted to
+   *
+   * @param {Object|Array} validations - attribute's rule(s)
+   * @param {*} value
+   * @param {Object} validator - validator instance which types and coercers are used
+   * @return {*} coerced value
+   */
+  function coerceValue(validations, value, validator) {
+    return _.inject(_.flatten([validations || []]), function(memo, validation) {
+      var settings = typeSettings(validation.type),
+        types = _.filter(settings.types, function(type) {
+          return _.isString(type) && validator.types[type];
+        }),
+        matches = function(value) {
+          return _.some(types, function(type) {
+            return validator.types[type](value);
+          });
+        };
+
+      if (!validation.type || memo == null || matches(memo)) {
+        return memo;
+      }
+
+      if (settings.nullable && memo === '') {
+        return null;
+      }
+
+      return _.inject(types, function(result, type) {
+        var coerced = result === memo && validator.coercers[type] ? validator.coercers[type].call(validator, memo) : result;
+        return validator.types[type](coerced) ? coerced : result;
+      }, memo);
+    }, value);
+  }
+
+  /**
+   * Makes model class prototype coercible: schema defaults are merged with own ones, parsed payloads are coerced,
+   * and `coerce` option is enabled for `#set()`
+   *
+   * @param {Object} proto - model class prototype
+   */
+  function coercible(proto) {
+    var defaults = proto.defaults,
+      parse = proto.parse,
+      validationOptions = proto.validationOptions,
+      resultOf = function(value, context) {
+        return _.isFunction(value) ? value.call(context) : value;
+      };
+
+    _.extend(proto, {
+      defaults: function() {
+        return _.extend(getValidator(this).defaults(_.result(this, 'validation'), this), resultOf(defaults, this));
+      },
+
+      parse: function() {
+        return getValidator(this).coerce(parse.apply(this, arguments), _.result(this, 'validation'));
+      },
+
+      validationOptions: function() {
+        return _.extend({ coerce: true }, resultOf(validationOptions, this));
+      }
+    });
+  }
+
+  /**
+   * Checks if rule's failure is blocking, i.e. rule has no `severity` option or it is `error`. Failures of
+   * `warning` and `info` rules are reported as warnings, other severities throw an error
+   *
+   * @param {Object} validation - rule
+   * @return {boolean}
+   */
+  function isBlocking(validation) {
+    var severity = validation.severity;
+
+    if (severity && !_.contains(['error', 'warning', 'info'], severity)) {
+      throw new Error('Missed severity: ' + severity);
+    }
+
+    return !severity || severity === 'error';
+  }
+
+  /**
+   * Checks if rule belongs to requested group(s). Rule's groups are specified via `on` option, rules without it
+   * belong to default group. All rules are applicable if no group requested
+   *
+   * @param {Object} validation - rule
+   * @param {String|Array} [group] - requested group(s)
+   * @param {String} defaultGroup
+   * @return {boolean}
+   */
+  function inGroup(validation, group, defaultGroup) {
+    return !group || !!_.intersection(_.flatten([group]), _.flatten([validation.on || defaultGroup])).length;
+  }
+
+  /**
+   * Checks rule's `if`/`unless` conditions. Condition could be a function called with validation context,
+   * attribute value and "would-be" state, or a name (path) of attribute which value is checked
+   *
+   * @param {Object} validation - rule
+   * @param {*} attrValue - validated attribute value
+   * @param {Object} context - validation context
+   * @param {Object} state - "would-be" state
+   * @return {boolean}
+   */
+  function isApplicable(validation, attrValue, context, state) {
+    var check = function(condition) {
+      return _.isFunction(condition) ? !!condition.call(context, attrValue, state) : !!getPath(state, condition);
+    };
+
+    return (!_.has(validation, 'if') || check(validation['if'])) &&
+      (!_.has(validation, 'unless') || !check(validation.unless));
+  }
+
+  /**
+   * Fetches model's validations, attributes to validate and options merged with model's `validationOptions`
+   * and "would-be" model state
+   *
+   * @param {Backbone.Model} model
+   * @param {Object|Array} [attributes] - hash/array of attributes to validate
+   * @param {Object} [options]
+   * @return {Object}
+   */
+  function prepareValidation(model, attributes, options) {
+    var validator = getValidator(model),
+      attrs = validator.getAttrsToValidate(model, attributes),
+      state = _.extend({}, model.attributes, attrs);
+
+    options = _.extend({}, _.result(model, 'validationOptions'), options, { state: state, warnings: {} });
+
+    if (options.complete) {
+      attrs = state;
+    }
+
+    return {
+      validator: validator,
+      validation: _.result(model, 'validation') || {},
+      modelValidation: modelValidators(_.result(model, 'modelValidation'), attributes == null || options.complete ? null : attrs),
+      attrs: attrs,
+      options: options
+    };
+  }
+
+  /**
+   * Errors of nested values returned by validators, keyed by full paths
+   *
+   * @param {Object} errors
+   * @constructor
+   */
+  var NestedErrors = Validator.NestedErrors = function(errors) {
+    this.errors = errors;
+  };
+
+  /**
+   * Groups errors returned by `_validateAll` by path: own errors are stored under attribute's path,
+   * nested ones - under their paths
+   *
+   * @param {Array} errors
+   * @param {String} path - validated attribute path
+   * @return {Object}
+   */
+  function groupErrors(errors, path) {
+    return _.inject(errors, function(memo, error) {
+      return mergeErrors(memo, error instanceof NestedErrors ? error.errors : _.object([path], [[error]]));
+    }, {});
+  }
+
+  /**
+   * Merges errors hash into target one
+   *
+   * @param {Object} target
+   * @param {Object} errors
+   * @return {Object} target
+   */
+  function mergeErrors(target, errors) {
+    _.each(errors, function(attrErrors, path) {
+      target[path] = _.uniq((target[path] || []).concat(attrErrors));
+    });
+
+    return target;
+  }
+
+  /**
+   * Picks model-level validators to run: all of them on full validation, otherwise - only ones which `attrs`
+   * include one of validated attributes
+   *
+   * @param {Function|Object|Array} validators - model-level validator(s)
+   * @param {Object|null} attrs - validated attributes, null for full validation
+   * @return {Array}
+   */
+  function modelValidators(validators, attrs) {
+    return _.filter(_.flatten([validators || []]), function(validator) {
+      return !attrs || !_.isFunction(validator) && _.some(_.flatten([validator.attrs || []]), function(attrName) {
+        return hasPath(attrs, attrName);
+      });
+    });
+  }
+
+  /**
+   * Converts result of model-level validator into errors hash: message is reported under `base` key,
+   * hash values could be messages or lists of messages
+   *
+   * @param {String|Boolean|Object} result
+   * @param {Object} options - validation options
+   * @return {Object}
+   */
+  function modelErrors(result, options) {
+    var errors = _.isObject(result) ? result : { base: result || 'Invalid' };
+
+    return _.inject(errors, function(memo, messages, path) {
+      memo[path] = _.map(_.flatten([messages]), function(message) {
+        return options.structured ? { validator: 'model', code: 'model', message: message, path: path } : message;
+      });
+
+      return memo;
+    }, {});
+  }
+
+  /**
+   * Merges errors of model-level validators into attributes' ones
+   *
+   * @param {Object|null} errors
+   * @param {Object|null} baseErrors - errors of model-level validators
+   * @return {Object|null}
+   */
+  function withModelErrors(errors, baseErrors) {
+    errors = mergeErrors(_.clone(errors) || {}, baseErrors);
+    return _.size(errors) ? errors : null;
+  }
+
+  /**
+   * Extends validated attributes with ones reported by model-level validators, so their errors
+   * are delivered along with validated attributes
+   *
+   * @param {Object} attrs - validated attributes
+   * @param {Object|null} baseErrors - errors of model-level validators
+   * @param {Object} state - "would-be" state
+   * @return {Object}
+   */
+  function reportedAttrs(attrs, baseErrors, state) {
+    var paths = _.without(_.keys(baseErrors), 'base');
+    return paths.length ? _.extend(pick(state, paths), attrs) : attrs;
+  }
+
+  /**
+   * Builds attributes for collection-level validation: `models` is the list of models, other keys
+   * are lists of corresponding attribute values of all models
+   *
+   * @param {Backbone.Collection} collection
+   * @param {Object} validation - collection's validations hash
+   * @return {Object}
+   */
+  function collectionAttrs(collection, validation) {
+    return _.inject(_.keys(validation), function(memo, key) {
+      memo[key] = key === 'models' ? collection.models : _.map(collection.models, function(model) {
+        return getPath(model.attributes, key);
+      });
+
+      return memo;
+    }, {});
+  }
+
+  /**
+   * Runs errors through `processErrors` callback passed in options or `ModelCallbacks` of model's validator
+   *
+   * @param {Backbone.Model} model
+   * @param {Object|null} errors
+   * @param {Object} options
+   * @return {Object|null}
+   */
+  function processErrors(model, errors, options) {
+    return options.processErrors ?
+      options.processErrors(errors) :
+      getValidator(model).ModelCallbacks.processErrors(errors);
+  }
+
+  /**
+   * Gets validator instance declared by model (or view) via `validator` property, or the global one
+   *
+   * @param {Object} object - model or view
+   * @return {Object}
+   */
+  function getValidator(object) {
+    return _.result(object, 'validator') || Validator;
+  }
+
+  /**
+   * Creates base classes with validation functionality bound to validator
+   *
+   * @param {Object} validator
+   * @return {Object} - `ValidatedModel`, `ValidatedView` and `ValidatedCollection` classes
+   */
+  function baseClasses(validator) {
+    var Model = validator.mixin(Backbone.Model.extend());
+
+    return {
+      ValidatedModel: Model,
+      ValidatedView: validator.mixin(Backbone.View.extend()),
+      ValidatedCollection: validator.mixin(Backbone.Collection.extend({ model: Model }))
+    };
+  }
+
+  /**
+   * Gets promise implementation used by validator, throws error if it's not set
+   *
+   * @param {Object} validator
+   * @return {Function}
+   */
+  function getPromise(validator) {
+    if (!validator.Promise) {
+      throw new Error('Backbone.Validator.Promise is not set');
+    }
+
+    return validator.Promise;
+  }
+
+  /**
+   * Checks if value is a promise-like object
+   *
+   * @param {*} value
+   * @return {boolean}
+   */
+  function isThenable(value) {
+    return !!value && _.isFunction(value.then);
+  }
+
+  /**
+   * Cleanup errors object from empty error values
+   * @param allErrors
+   */
+  function cleanErrors(allErrors) {
+    var errors = _.inject(allErrors, function(memo, fieldErrors, attr) {
+      fieldErrors = _.isArray(fieldErrors) ? fieldErrors : _.compact([fieldErrors]);
+
+      if (fieldErrors.length) {
+        memo[attr] = fieldErrors;
+      }
+
+      return memo;
+    }, {});
+
+    return _.size(errors) ? errors : null;
+  }
+
+  /**
+   * Gets message of error, that could be plain message or structured error object
+   *
+   * @param {String|Object} error
+   * @return {String}
+   */
+  function errorMessage(error) {
+    return _.isObject(error) && _.has(error, 'message') ? error.message : error;
+  }
+
+  /**
+   * Runs nested rule set of composite validators (`anyOf`, `allOf`, `not`) against value and collects error
+   * messages, including nested ones. Nested rules are run regardless of requested groups, warnings are skipped
+   * and async validators are not supported
+   *
+   * @param {Object|Array} ruleSet - rule or list of rules
+   * @param {*} value
+   * @param {Object} context - validation context
+   * @param {Object} allAttrs - validated attributes
+   * @param {Object} options - options of composite validator
+   * @return {Array}
+   */
+  function ruleSetMessages(ruleSet, value, context, allAttrs, options) {
+    var nestedOptions = _.extend(_.omit(options, 'group', 'scenario', 'warnings', 'rule'), { pending: [] }),
+      errors = options.validator._validateAll(ruleSet, options.path, value, context, allAttrs, nestedOptions);
+
+    if (nestedOptions.pending.length) {
+      throw new Error('Async validators are not supported by composite validators: ' + options.path);
+    }
+
+    return _.map(_.flatten(_.values(groupErrors(errors, options.path))), errorMessage);
+  }
+
+  /**
+   * Checks if rule set is about value presence, i.e. has `required` or `blank` validators
+   *
+   * @param {Object|Array} ruleSet - rule or list of rules
+   * @return {boolean}
+   */
+  function concernsPresence(ruleSet) {
+    return _.some(_.flatten([ruleSet]), function(rule) {
+      return _.has(rule, 'required') || _.has(rule, 'blank');
+    });
+  }
+
+  Validator.ViewCallbacks = {
+    onValidField: function(name /*, value, model*/) {
+      var input = this.$('input[name="' + name + '"]');
+
+      input.removeClass('error');
+      input.next('.error-text').remove();
+    },
+
+    onInvalidField: function(name, value, errors /*, model*/) {
+      var input = this.$('input[name="' + name + '"]');
+
+      input.next('.error-text').remove();
+      input.addClass('error').after('<div class="error-text">' + _.map(errors, errorMessage).join(', ') + '</div>');
+    }
+  };
+
+  Validator.ModelCallbacks = {
+    processErrors: function(errors) {
+      return errors;
+    }
+  };
+
+  /**
+   * Checks if value is empty, so non-presence validators skip it
+   *
+   * @param {*} value
+   * @return {boolean}
+   */
+  function isEmpty(value) {
+    return value == null || value === '';
+  }
+
+  /**
+   * Converts number or numeric string into number. Returns NaN for anything else, including formatted
+   * numbers like "1,000"
+   *
+   * @param {*} value
+   * @return {Number}
+   */
+  function toNumber(value) {
+    if (_.isNumber(value)) {
+      return value;
+    }
+
+    return _.isString(value) && /^\s*[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?\s*$/i.test(value) ? parseFloat(value) : NaN;
+  }
+
+  /**
+   * Checks number or numeric string with passed predicate. Empty values pass, non-numeric ones fail with
+   * `Is not a number` message, so they are not reported as out of bounds
+   *
+   * @param {*} value
+   * @param {Function} check - predicate that gets parsed number
+   * @return {boolean|String}
+   */
+  function checkNumber(value, check) {
+    var number = toNumber(value);
+    return isEmpty(value) || (isNaN(number) ? 'Is not a number' : check(number));
+  }
+
+  /**
+   * Counts decimal places of number or numeric string
+   *
+   * @param {Number|String} value
+   * @return {Number}
+   */
+  function decimals(value) {
+    var match = String(value).trim().match(/(?:\.(\d+))?(?:e([-+]?\d+))?$/i);
+    return Math.max(0, (match[1] || '').length - (+match[2] || 0));
+  }
+
+  /**
+   * Gets name of attribute compared by `equalTo`/`notEqualTo` validators. Expectation could be attribute name
+   * or `{ attr: 'password', revalidate: true }` hash
+   *
+   * @param {String|Object} expectation
+   * @return {String}
+   */
+  function comparedAttr(expectation) {
+    return _.isObject(expectation) ? expectation.attr : expectation;
+  }
+
+  /**
+   * Finds attributes that have `equalTo`/`notEqualTo` rules with `revalidate` option, compared with one of validated
+   * attributes, so they should be re-validated as well
+   *
+   * @param {Object} validation - validations hash
+   * @param {Object} attrs - validated attributes
+   * @return {Array}
+   */
+  function confirmations(validation, attrs) {
+    return _.filter(_.keys(validation), function(attrName) {
+      return !_.has(attrs, attrName) && _.some(_.flatten([validation[attrName]]), function(rule) {
+        return _.some(_.pick(rule, 'equalTo', 'notEqualTo'), function(expectation) {
+          return _.isObject(expectation) && expectation.revalidate && hasPath(attrs, expectation.attr);
+        });
+      });
+    });
+  }
+
+  /**
+   * Normalizes expectation of `unique` validator. Expectation could be `true` (model's own collection is used),
+   * collection, function returning collection or hash with `collection`, `caseInsensitive`, `comparator`
+   * and `revalidate` options
+   *
+   * @param {*} expectation
+   * @return {Object}
+   */
+  function uniqueSettings(expectation) {
+    var isHash = _.isObject(expectation) && !_.isFunction(expectation) && !(expectation instanceof Backbone.Collection);
+    return _.defaults(isHash ? _.clone(expectation) : { collection: expectation === true ? null : expectation }, {
+      revalidate: true
+    });
+  }
+
+  /**
+   * Gets models of the collection where uniqueness is checked
+   *
+   * @param {Object} settings - normalized `unique` settings
+   * @param {Object} context - validation context
+   * @return {Array}
+   */
+  function uniqueScope(settings, context) {
+    var collection = _.isFunction(settings.collection) ? settings.collection.call(context) : settings.collection;
+    collection = collection || context && context.collection;
+    return collection && listItems(collection) || [];
+  }
+
+  /**
+   * Checks whether two values are considered equal by `unique` validator
+   *
+   * @param {*} value
+   * @param {*} other
+   * @param {Object} settings - normalized `unique` settings
+   * @return {Boolean}
+   */
+  function sameValue(value, other, settings) {
+    if (settings.comparator) {
+      return !!settings.comparator(value, other);
+    }
+
+    if (settings.caseInsensitive && _.isString(value) && _.isString(other)) {
+      return value.toLowerCase() === other.toLowerCase();
+    }
+
+    return _.isEqual(value, other);
+  }
+
+  /**
+   * Finds siblings in collection that have the same value of `unique` attribute as model's previous or new one,
+   * so they should be re-validated as well
+   *
+   * @param {Backbone.Model} model
+   * @param {Object} validation - validations hash
+   * @param {Object} attrs - validated attributes
+   * @return {Array} - list of `{ model: sibling, attrs: [...] }` hashes
+   */
+  function uniqueSiblings(model, validation, attrs) {
+    var siblings = {};
+
+    _.each(validation, function(rules, attrName) {
+      var values = [getPath(model.attributes, attrName), getPath(attrs, attrName)];
+
+      _.each(hasPath(attrs, attrName) ? _.flatten([rules]) : [], function(rule) {
+        var settings = uniqueSettings(rule.unique);
+
+        if (!rule.unique || !settings.revalidate) {
+          return;
+        }
+
+        _.each(uniqueScope(settings, model), function(sibling) {
+          var value = itemValue(sibling, attrName);
+
+          if (sibling !== model && _.isFunction(sibling.validate) && !isEmpty(value) && _.some(values, function(other) {
+            return sameValue(value, other, settings);
+          })) {
+            siblings[sibling.cid] = siblings[sibling.cid] || { model: sibling, attrs: [] };
+            siblings[sibling.cid].attrs = _.union(siblings[sibling.cid].attrs, [attrName]);
+          }
+        });
+      });
+    });
+
+    return _.values(siblings);
+  }
+
+  /**
+   * Resolves date that value is compared with. Expectation could be a date (Date, timestamp or ISO string),
+   * function returning date or name of attribute containing date
+   *
+   * @param {*} expectation
+   * @param {Object} context - validation context
+   * @param {Object} state - "would-be" state
+   * @param {Object} validator - validator instance which `parseDate` hook is used
+   * @return {Date|null}
+   */
+  function resolveDate(expectation, context, state, validator) {
+    if (_.isFunction(expectation)) {
+      expectation = expectation.call(context, state);
+    } else if (_.isString(expectation) && !validator.parseDate(expectation)) {
+      expectation = getPath(state, expectation);
+    }
+
+    return expectation == null ? null : validator.parseDate(expectation);
+  }
+
+  /**
+   * Checks that date is within the range. Missing range limits are not checked
+   *
+   * @param {*} value - validated value
+   * @param {Array} range - [from, to] expectations
+   * @param {Object} context - validation context
+   * @param {Object} state - "would-be" state
+   * @param {Object} validator - validator instance
+   * @param {boolean} [exclusive] - exclude range limits
+   * @return {boolean}
+   */
+  function compareDate(value, range, context, state, validator, exclusive) {
+    var date = validator.parseDate(value),
+      from = resolveDate(range[0], context, state, validator),
+      to = resolveDate(range[1], context, state, validator);
+
+    if (isEmpty(value)) {
+      return true;
+    }
+
+    return !!date &&
+      (!from || (exclusive ? date > from : date >= from)) &&
+      (!to || (exclusive ? date < to : date <= to));
+  }
+
+  /**
+   * Calculates full years since the date
+   *
+   * @param {Date} date
+   * @return {Number}
+   */
+  function age(date) {
+    var now = new Date(),
+      years = now.getFullYear() - date.getFullYear();
+
+    if (now.getMonth() < date.getMonth() || now.getMonth() === date.getMonth() && now.getDate() < date.getDate()) {
+      years--;
+    }
+
+    return years;
+  }
+
+  /**
+   * Gets items of array or Backbone.Collection
+   *
+   * @param {Array|Backbone.Collection} value
+   * @return {Array|null} - null if value is not a list
+   */
+  function listItems(value) {
+    var items = value && value.models || value;
+    return _.isArray(items) ? items : null;
+  }
+
+  /**
+   * Checks items of array or Backbone.Collection with passed predicate. Empty values pass, other values that are
+   * not lists (e.g. strings or plain objects) fail with `Is not a list` message
+   *
+   * @param {*} value
+   * @param {Function} check - predicate that gets list of items
+   * @return {boolean|String}
+   */
+  function checkItems(value, check) {
+    var items = listItems(value);
+    return isEmpty(value) || (items ? check(items) : 'Is not a list');
+  }
+
+  /**
+   * Gets value of item's attribute or nested path, item could be a model or plain object
+   *
+   * @param {Backbone.Model|Object} item
+   * @param {String} key
+   * @return {*}
+   */
+  function itemValue(item, key) {
+    return getPath(item instanceof Backbone.Model ? item.attributes : item, key);
+  }
+
+  /**
+   * Resolves list of values for set-membership validators. Expectation could be an array, Backbone.Collection
+   * (ids of its models are used), `{ collection: collection, key: 'name' }` hash to use models' attribute,
+   * or function returning any of these
+   *
+   * @param {*} expectation
+   * @param {Object} context - validation context
+   * @return {Array}
+   */
+  function resolveValues(expectation, context) {
+    var values = expectation,
+      key;
+
+    if (values && _.has(values, 'collection')) {
+      key = values.key;
+      values = values.collection;
+    }
+
+    if (_.isFunction(values)) {
+      values = values.call(context);
+    }
+
+    if (values instanceof Backbone.Collection) {
+      values = key ? values.pluck(key) : _.pluck(values.models, 'id');
+    }
+
+    return _.toArray(values);
+  }
+
+  /**
+   * Built-in validators
+   * @type {Array}
+   */
+  var validators = [
+    {
       name: 'required',
       message: 'Is required',
       fn: function(value, expectation) {
@@ -396,17 +1821,323 @@
         return !value || value.length <= expectation;
       }
     },
+    {
+      name: 'min',
+      message: 'Is too small',
+      fn: function(value, expectation) {
+        return checkNumber(value, function(number) {
+          return number >= expectation;
+        });
+      }
+    },
+    {
+      name: 'max',
+      message: 'Is too large',
+      fn: function(value, expectation) {
+        return checkNumber(value, function(number) {
+          return number <= expectation;
+        });
+      }
+    },
+    {
+      name: 'range',
+      message: 'Is out of range',
+      fn: function(value, expectation) {
+        return checkNumber(value, function(number) {
+          return number >= expectation[0] && number <= expectation[1];
+        });
+      }
+    },
+    {
+      name: 'integer',
+      message: 'Must be an integer',
+      fn: function(value, expectation) {
+        return expectation === false || isEmpty(value) || toNumber(value) % 1 === 0;
+      }
+    },
+    {
+      name: 'positive',
+      message: 'Must be positive',
+      fn: function(value, expectation) {
+        return expectation === false || checkNumber(value, function(number) {
+          return number > 0;
+        });
+      }
+    },
+    {
+      name: 'step',
+      message: 'Does not match step',
+      fn: function(value, expectation) {
+        return checkNumber(value, function(number) {
+          var ratio = number / expectation;
+          return Math.abs(ratio - Math.round(ratio)) < 1e-9;
+        });
+      }
+    },
+    {
+      name: 'precision',
+      message: 'Has too many decimal places',
+      fn: function(value, expectation) {
+        return isEmpty(value) || !isNaN(toNumber(value)) && decimals(value) <= expectation;
+      }
+    },
+    {
+      name: 'equalTo',
+      message: 'Does not match',
+      fn: function(value, expectation, allAttrs, state) {
+        return isEmpty(value) || _.isEqual(value, getPath(state, comparedAttr(expectation)));
+      }
+    },
+    {
+      name: 'notEqualTo',
+      message: 'Must be different',
+      fn: function(value, expectation, allAttrs, state) {
+        return isEmpty(value) || !_.isEqual(value, getPath(state, comparedAttr(expectation)));
+      }
+    },
+    {
+      name: 'unique',
+      message: 'Must be unique',
+      fn: function(value, expectation, allAttrs, state, options) {
+        var settings = uniqueSettings(expectation),
+          context = this;
+
+        return expectation === false || isEmpty(value) || !_.some(uniqueScope(settings, context), function(item) {
+          return item !== context && sameValue(itemValue(item, options.path), value, settings);
+        });
+      }
+    },
+    {
+      name: 'date',
+      message: 'Is not a valid date',
+      fn: function(value, expectation, allAttrs, state, options) {
+        return expectation === false || isEmpty(value) || !!options.validator.parseDate(value);
+      }
+    },
+    {
+      name: 'before',
+      message: 'Is too late',
+      fn: function(value, expectation, allAttrs, state, options) {
+        return compareDate(value, [null, expectation], this, state, options.validator, true);
+      }
+    },
+    {
+      name: 'after',
+      message: 'Is too early',
+      fn: function(value, expectation, allAttrs, state, options) {
+        return compareDate(value, [expectation, null], this, state, options.validator, true);
+      }
+    },
+    {
+      name: 'between',
+      message: 'Is out of range',
+      fn: function(value, expectation, allAttrs, state, options) {
+        return compareDate(value, expectation, this, state, options.validator);
+      }
+    },
+    {
+      name: 'minAge',
+      message: 'Is too young',
+      fn: function(value, expectation, allAttrs, state, options) {
+        var date = options.validator.parseDate(value);
+        return isEmpty(value) || !!date && age(date) >= expectation;
+      }
+    },
+    {
+      name: 'maxAge',
+      message: 'Is too old',
+      fn: function(value, expectation, allAttrs, state, options) {
+        var date = options.validator.parseDate(value);
+        return isEmpty(value) || !!date && age(date) <= expectation;
+      }
+    },
+    {
+      name: 'type',
+      message: 'Has invalid type',
+      fn: function(value, expectation, allAttrs, state, options) {
+        var types = options.validator.types,
+          settings = typeSettings(expectation);
+
+        _.each(settings.types, function(type) {
+          if (_.isString(type) && !types[type]) {
+            throw new Error('Missed type: ' + type);
+          }
+        });
+
+        if (value === undefined || value === null && settings.nullable) {
+          return true;
+        }
+
+        return _.some(settings.types, function(type) {
+          return _.isString(type) ? types[type](value) : value instanceof type;
+        });
+      }
+    },
+    {
+      name: 'each',
+      message: 'Is not a list',
+      fn: function(value, expectation, allAttrs, state, options) {
+        var items = listItems(value);
+
+        if (isEmpty(value)) {
+          return true;
+        }
+
+        if (!items) {
+          return false;
+        }
+
+        var errors = _.inject(items, function(memo, item, index) {
+          var path = options.path + '[' + index + ']';
+          return mergeErrors(memo, groupErrors(options.validator._validateAll(expectation, path, item, this, allAttrs, options), path));
+        }, {}, this);
+
+        return _.size(errors) ? new NestedErrors(errors) : true;
+      }
+    },
+    {
+      name: 'shape',
+      message: 'Has invalid structure',
+      fn: function(value, expectation, allAttrs, state, options) {
+        var validator = options.validator,
+          nestedOptions = _.extend({}, options, { state: value }),
+          knownKeys = _.map(_.keys(expectation), function(path) {
+            return parsePath(path)[0];
+          });
+
+        if (isEmpty(value)) {
+          return true;
+        }
+
+        if (!validator.types.object(value)) {
+          return false;
+        }
+
+        var errors = _.inject(expectation, function(memo, rules, key) {
+          var path = options.path + '.' + key;
+          return mergeErrors(memo, groupErrors(validator._validateAll(rules, path, getPath(value, key), this, value, nestedOptions), path));
+        }, {}, this);
+
+        if (options.rule.strict) {
+          _.each(_.difference(_.keys(value), knownKeys), function(key) {
+            var path = options.path + '.' + key;
+            errors[path] = [validator._createError({}, 'shape', path, value[key], expectation, this, options, 'Is not allowed')];
+          }, this);
+        }
+
+        return _.size(errors) ? new NestedErrors(errors) : true;
+      }
+    },
+    {
+      name: 'minItems',
+      message: 'Has too few items',
+      fn: function(value, expectation) {
+        return checkItems(value, function(items) {
+          return items.length >= expectation;
+        });
+      }
+    },
+    {
+      name: 'maxItems',
+      message: 'Has too many items',
+      fn: function(value, expectation) {
+        return checkItems(value, function(items) {
+          return items.length <= expectation;
+        });
+      }
+    },
+    {
+      name: 'uniqueItems',
+      message: 'Has duplicate items',
+      fn: function(value, expectation) {
+        var iteratee = _.isFunction(expectation) ? expectation : function(item) {
+          return _.isString(expectation) ? itemValue(item, expectation) : item;
+        };
+
+        return expectation === false || checkItems(value, function(items) {
+          return _.uniq(_.map(items, iteratee)).length === items.length;
+        });
+      }
+    },
+    {
+      name: 'contains',
+      message: 'Does not contain required items',
+      fn: function(value, expectation) {
+        var context = this;
+
+        return checkItems(value, function(items) {
+          if (_.isFunction(expectation)) {
+            return _.some(items, expectation, context);
+          }
+
+          return _.every(_.flatten([expectation]), function(item) {
+            return _.contains(items, item);
+          });
+        });
+      }
+    },
+    {
+      name: 'inclusion',
+      message: function(attrName, attrValue, attrExpectation) {
+        return 'Must be one of: ' + resolveValues(attrExpectation, this).join(', ');
+      },
+      fn: function(value, expectation) {
+        return isEmpty(value) || _.contains(resolveValues(expectation, this), value);
+      }
+    },
+    {
+      name: 'exclusion',
+      message: function(attrName, attrValue, attrExpectation) {
+        return 'Must not be one of: ' + resolveValues(attrExpectation, this).join(', ');
+      },
+      fn: function(value, expectation) {
+        return isEmpty(value) || !_.contains(resolveValues(expectation, this), value);
+      }
+    },
     {
       name: 'format',
       message: 'Does not match format',
-      fn: function(value, expectation) {
-        return !value || !!value.toString().match(Validator.formats[expectation] || expectation);
+      fn: function(value, expectation, allAttrs, state, options) {
+        return !value || !!value.toString().match(options.validator.formats[expectation] || expectation);
+      }
+    },
+    {
+      name: 'anyOf',
+      message: 'Does not match any of rules',
+      fn: function(value, expectation, allAttrs, state, options) {
+        var messages = [],
+          passed = _.some(expectation, function(ruleSet) {
+            var errors = ruleSetMessages(ruleSet, value, this, allAttrs, options);
+            messages = messages.concat(errors);
+            return !errors.length;
+          }, this);
+
+        return passed || _.uniq(messages).join(' or ') || false;
+      }
+    },
+    {
+      name: 'allOf',
+      message: 'Does not match all of rules',
+      fn: function(value, expectation, allAttrs, state, options) {
+        var messages = _.flatten(_.map(expectation, function(ruleSet) {
+          return ruleSetMessages(ruleSet, value, this, allAttrs, options);
+        }, this));
+
+        return !messages.length || _.uniq(messages).join(', ');
+      }
+    },
+    {
+      name: 'not',
+      message: 'Is not allowed',
+      fn: function(value, expectation, allAttrs, state, options) {
+        return isEmpty(value) && !concernsPresence(expectation) ||
+          ruleSetMessages(expectation, value, this, allAttrs, options).length > 0;
       }
     },
     {
       name: 'fn',
-      fn: function(value, expectation, allAttrs) {
-        return expectation.call(this, value, allAttrs);
+      fn: function(value, expectation, allAttrs, state) {
+        return expectation.call(this, value, allAttrs, state);
       }
     }
   ];
@@ -416,21 +2147,99 @@
    */
   Validator.formats = {
     digits: /^\d+$/,
+    iso8601: /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/,
     number: /^-?(?:\d+|\d{1,3}(?:,\d{3})+)(?:\.\d+)?$/,
     email: /^((([a-z]|\d|[!#\$%&'\*\+\-\/=\?\^_`{\|}~]|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])+(\.([a-z]|\d|[!#\$%&'\*\+\-\/=\?\^_`{\|}~]|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])+)*)|((\x22)((((\x20|\x09)*(\x0d\x0a))?(\x20|\x09)+)?(([\x01-\x08\x0b\x0c\x0e-\x1f\x7f]|\x21|[\x23-\x5b]|[\x5d-\x7e]|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])|(\\([\x01-\x09\x0b\x0c\x0d-\x7f]|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF]))))*(((\x20|\x09)*(\x0d\x0a))?(\x20|\x09)+)?(\x22)))@((([a-z]|\d|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])|(([a-z]|\d|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])([a-z]|\d|-|\.|_|~|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])*([a-z]|\d|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])))\.)+(([a-z]|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])|(([a-z]|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])([a-z]|\d|-|\.|_|~|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])*([a-z]|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])))$/i,
     url: /^(https?|ftp):\/\/(((([a-z]|\d|-|\.|_|~|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])|(%[\da-f]{2})|[!\$&'\(\)\*\+,;=]|:)*@)?(((\d|[1-9]\d|1\d\d|2[0-4]\d|25[0-5])\.(\d|[1-9]\d|1\d\d|2[0-4]\d|25[0-5])\.(\d|[1-9]\d|1\d\d|2[0-4]\d|25[0-5])\.(\d|[1-9]\d|1\d\d|2[0-4]\d|25[0-5]))|((([a-z]|\d|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])|(([a-z]|\d|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])([a-z]|\d|-|\.|_|~|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])*([a-z]|\d|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])))\.)+(([a-z]|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])|(([a-z]|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])([a-z]|\d|-|\.|_|~|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])*([a-z]|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])))\.?)(:\d*)?)(\/((([a-z]|\d|-|\.|_|~|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])|(%[\da-f]{2})|[!\$&'\(\)\*\+,;=]|:|@)+(\/(([a-z]|\d|-|\.|_|~|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])|(%[\da-f]{2})|[!\$&'\(\)\*\+,;=]|:|@)*)*)?)?(\?((([a-z]|\d|-|\.|_|~|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])|(%[\da-f]{2})|[!\$&'\(\)\*\+,;=]|:|@)|[\uE000-\uF8FF]|\/|\?)*)?(\#((([a-z]|\d|-|\.|_|~|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])|(%[\da-f]{2})|[!\$&'\(\)\*\+,;=]|:|@)|\/|\?)*)?$/i
   };
 
+  /**
+   * Built-in types
+   */
+  Validator.types = {
+    string: _.isString,
+    boolean: _.isBoolean,
+    array: _.isArray,
+    'null': _.isNull,
+    number: function(value) {
+      return _.isNumber(value) && !isNaN(value);
+    },
+    object: function(value) {
+      return Object.prototype.toString.call(value) === '[object Object]';
+    },
+    date: function(value) {
+      return _.isDate(value) && !isNaN(value.getTime());
+    }
+  };
+
+  /**
+   * Built-in transforms applied to values before validation via rule's `transform` (or `sanitize`) option.
+   * Transform receives value, "would-be" state and validation options and returns new value
+   */
+  Validator.transforms = {
+    trim: function(value) {
+      return _.isString(value) ? value.trim() : value;
+    },
+    toLowerCase: function(value) {
+      return _.isString(value) ? value.toLowerCase() : value;
+    },
+    toUpperCase: function(value) {
+      return _.isString(value) ? value.toUpperCase() : value;
+    },
+    toNumber: function(value) {
+      var number = toNumber(value);
+      return isNaN(number) ? value : number;
+    },
+    toDate: function(value, state, options) {
+      return isEmpty(value) ? value : options.validator.parseDate(value) || value;
+    }
+  };
+
+  /**
+   * Built-in coercers used by `coerce()` to convert values to types, keyed by type name. Coercer is called
+   * with validator as context, result is used only if it matches the type
+   */
+  Validator.coercers = {
+    number: function(value) {
+      return toNumber(value);
+    },
+    boolean: function(value) {
+      return { 'true': true, 'false': false, '1': true, '0': false }[String(value)];
+    },
+    string: function(value) {
+      return _.isNumber(value) || _.isBoolean(value) ? String(value) : value;
+    },
+    date: function(value) {
+      return this.parseDate(value);
+    },
+    'null': function(value) {
+      return value === '' ? null : value;
+    }
+  };
+
   _.each(validators, function(validator) {
     Validator.add(validator.name, validator.fn, validator.message);
   });
 
+  /**
+   * Built-in validators aliases
+   */
+  _.each({ oneOf: 'inclusion', 'enum': 'inclusion', notOneOf: 'exclusion' }, function(name, alias) {
+    Validator._validators[alias] = Validator._validators[name];
+  });
+
+
+  /**
+   * Base classes with validation functionality
+   */
+  _.extend(Validator, baseClasses(Validator));
 
   /**
    * Applying validator functionality to backbone's core
    */
-  _.extend(Backbone.Model.prototype, Validator.Extensions.Model);
-  _.extend(Backbone.View.prototype, Validator.Extensions.View);
+  Validator.mixin(Backbone.Model);
+  Validator.mixin(Backbone.Collection);
+  Validator.mixin(Backbone.View);
 
   return Validator;
 });
@@ -2,6 +2,7 @@ describe('Backbone.Validator', function() {
   'use strict';
 
   var Validator = Backbone.Validator,
+    ViewCallbacks = Validator.ViewCallbacks,
     fn, model, view, spy;
 
   var create = function(base, classOpts, instanceOpts) {
@@ -51,7 +52,25 @@ describe('Backbone.Validator', function() {
         });
 
         model.set(attributes, {validate: true});
-        expect(spy).toHaveBeenCalledWith(1, 10, attributes);
+        expect(spy).toHaveBeenCalledWith(1, 10, attributes, attributes, jasmine.any(Object));
+      });
+
+      it('passes model attributes merged with ones being validated', function() {
+        model = create(Backbone.Model, {
+          validation: {
+            field_1: {
+              custom: 10
+            }
+          }
+        }, { field_1: 0, field_3: 3 });
+
+        model.set({ field_1: 1 }, {validate: true});
+        expect(spy).toHaveBeenCalledWith(1, 10, { field_1: 1 }, { field_1: 1, field_3: 3 }, jasmine.any(Object));
+      });
+
+      it('passes validator instance running validation in options', function() {
+        Validator.validate({ field_1: 1 }, { field_1: { custom: 10 } });
+        expect(spy.calls.argsFor(0)[4].validator).toBe(Validator);
       });
     });
 
@@ -92,6 +111,697 @@ describe('Backbone.Validator', function() {
       expectToFail('maxLength', 'Samuel', 3);
     });
 
+    describe('min', function() {
+      expectToPass('min', 3, 3);
+      expectToPass('min', '4.5', 3);
+      expectToPass('min', undefined, 3);
+      expectToPass('min', '', 3);
+      expectToFail('min', 0, 1, 'Is too small');
+      expectToFail('min', '2', 3);
+      expectToFail('min', '1,000', 3, 'Is not a number');
+      expectToFail('min', 'abc', 3, 'Is not a number');
+      expectToFail('min', true, 0, 'Is not a number');
+      expectToFail('min', NaN, 0, 'Is not a number');
+    });
+
+    describe('max', function() {
+      expectToPass('max', 3, 3);
+      expectToPass('max', '-1', 3);
+      expectToPass('max', null, 3);
+      expectToFail('max', 4, 3, 'Is too large');
+      expectToFail('max', '3.1', 3);
+      expectToFail('max', 'abc', 3, 'Is not a number');
+    });
+
+    describe('range', function() {
+      expectToPass('range', 1, [1, 5]);
+      expectToPass('range', '5', [1, 5]);
+      expectToPass('range', undefined, [1, 5]);
+      expectToFail('range', 0, [1, 5], 'Is out of range');
+      expectToFail('range', 5.5, [1, 5]);
+      expectToFail('range', '1,000', [1, 5], 'Is not a number');
+    });
+
+    describe('integer', function() {
+      expectToPass('integer', 10, true);
+      expectToPass('integer', '-10', true);
+      expectToPass('integer', '', true);
+      expectToPass('integer', 1.5, false);
+      expectToFail('integer', 1.5, true, 'Must be an integer');
+      expectToFail('integer', '1.5', true);
+      expectToFail('integer', 'ten', true);
+    });
+
+    describe('positive', function() {
+      expectToPass('positive', 1, true);
+      expectToPass('positive', '0.1', true);
+      expectToPass('positive', undefined, true);
+      expectToPass('positive', -1, false);
+      expectToFail('positive', 0, true, 'Must be positive');
+      expectToFail('positive', '-1', true);
+      expectToFail('positive', 'abc', true, 'Is not a number');
+    });
+
+    describe('step', function() {
+      expectToPass('step', 10, 5);
+      expectToPass('step', '1.5', 0.5);
+      expectToPass('step', 0.3, 0.1);
+      expectToPass('step', undefined, 5);
+      expectToFail('step', 11, 5, 'Does not match step');
+      expectToFail('step', 'abc', 5, 'Is not a number');
+    });
+
+    describe('precision', function() {
+      expectToPass('precision', 10, 2);
+      expectToPass('precision', 10.25, 2);
+      expectToPass('precision', '10.2', 2);
+      expectToPass('precision', 1e-2, 2);
+      expectToPass('precision', '', 2);
+      expectToFail('precision', 10.255, 2, 'Has too many decimal places');
+      expectToFail('precision', '1.001', 2);
+      expectToFail('precision', 'abc', 2);
+    });
+
+    describe('equalTo', function() {
+      var expectToCompare = function(validatorName, state, expectation, error) {
+        var validations = { confirmation: {} };
+        validations.confirmation[validatorName] = expectation;
+        expect(Validator.validate(state, validations)).toEqual(error ? { confirmation: [error] } : null);
+      };
+
+      it('compares value with another attribute', function() {
+        expectToCompare('equalTo', { password: 'secret', confirmation: 'secret' }, 'password');
+        expectToCompare('equalTo', { password: 'secret', confirmation: 'Secret' }, 'password', 'Does not match');
+        expectToCompare('equalTo', { password: 'secret', confirmation: 'secret' }, { attr: 'password' });
+      });
+
+      it('skips empty values', function() {
+        expectToCompare('equalTo', { password: 'secret', confirmation: '' }, 'password');
+        expectToCompare('equalTo', { password: 'secret', confirmation: null }, 'password');
+        expect(Validator.validate({ password: 'secret', confirmation: '' }, {
+          confirmation: { required: true, equalTo: 'password' }
+        })).toEqual({ confirmation: ['Is required'] });
+      });
+
+      it('compares value with model attribute that is not being validated', function() {
+        model = create(Backbone.Model, {
+          validation: {
+            passwordConfirmation: { equalTo: 'password' }
+          }
+        }, { password: 'secret' });
+
+        expect(model.set({ passwordConfirmation: 'wrong' }, { validate: true })).toBeFalsy();
+        expect(model.validationError).toEqual({ passwordConfirmation: ['Does not match'] });
+        expect(model.set({ passwordConfirmation: 'secret' }, { validate: true })).toBeTruthy();
+      });
+
+      it('compares value using notEqualTo', function() {
+        expectToCompare('notEqualTo', { password: 'secret', confirmation: 'other' }, 'password');
+        expectToCompare('notEqualTo', { password: 'secret', confirmation: '' }, 'password');
+        expectToCompare('notEqualTo', { password: 'secret', confirmation: 'secret' }, 'password', 'Must be different');
+      });
+
+      describe('with revalidate option', function() {
+        beforeEach(function() {
+          jasmine.clock().install();
+          spy = jasmine.createSpy('validated');
+
+          model = create(Backbone.Model, {
+            validation: {
+              password: { required: true },
+              passwordConfirmation: { equalTo: { attr: 'password', revalidate: true } }
+            }
+          }, { password: 'secret', passwordConfirmation: 'secret' });
+
+          model.on('validated', spy);
+        });
+
+        afterEach(function() {
+          jasmine.clock().uninstall();
+        });
+
+        it('re-validates confirmation when source attribute is validated', function() {
+          expect(model.set({ password: 'changed' }, { validate: true })).toBeTruthy();
+          jasmine.clock().tick(50);
+
+          expect(spy.calls.count()).toEqual(2);
+          expect(spy.calls.argsFor(1)[1]).toEqual({ passwordConfirmation: 'secret' });
+          expect(spy.calls.argsFor(1)[2]).toEqual({ passwordConfirmation: ['Does not match'] });
+        });
+
+        it('does not re-validate confirmation in silent mode', function() {
+          model.validate('password', { silent: true });
+          jasmine.clock().tick(50);
+
+          expect(spy).not.toHaveBeenCalled();
+        });
+      });
+    });
+
+    describe('unique', function() {
+      var collection, User;
+
+      beforeEach(function() {
+        User = Backbone.Model.extend({
+          validation: {
+            name: { unique: true }
+          }
+        });
+
+        collection = new Backbone.Collection([{ name: 'Sam' }, { name: 'Tom' }], { model: User });
+        model = collection.at(1);
+      });
+
+      it('checks value among models of own collection', function() {
+        expect(model.validate({ name: 'Sam' })).toEqual({ name: ['Must be unique'] });
+        expect(model.validate({ name: 'sam' })).toBeNull();
+        expect(model.validate({ name: 'Tom' })).toBeNull();
+        expect(model.validate({ name: '' })).toBeNull();
+      });
+
+      it('passes when model is not in collection', function() {
+        expect(new User({ name: 'Sam' }).validate()).toBeNull();
+      });
+
+      it('checks nested values', function() {
+        var Profile = Backbone.Model.extend({ validation: { 'profile.email': { unique: true } } }),
+          profiles = new Backbone.Collection([{ profile: { email: 'a@x' } }, { profile: { email: 'a@x' } }], { model: Profile });
+
+        expect(profiles.at(1).validate()).toEqual({ 'profile.email': ['Must be unique'] });
+        expect(profiles.at(1).validate({ profile: { email: 'b@x' } })).toBeNull();
+      });
+
+      it('checks value among models of provided collection', function() {
+        var validations = { name: { unique: collection } };
+
+        expect(Validator.validate({ name: 'Sam' }, validations)).toEqual({ name: ['Must be unique'] });
+        expect(Validator.validate({ name: 'Bob' }, validations)).toBeNull();
+        expect(Validator.validate({ name: 'Sam' }, { name: { unique: function() { return collection; } } }))
+          .toEqual({ name: ['Must be unique'] });
+      });
+
+      it('supports case-insensitive comparison', function() {
+        expect(Validator.validate({ name: 'sam' }, { name: { unique: { collection: collection, caseInsensitive: true } } }))
+          .toEqual({ name: ['Must be unique'] });
+      });
+
+      it('supports custom comparator', function() {
+        var comparator = function(value, other) {
+          return value.charAt(0) === other.charAt(0);
+        };
+
+        expect(Validator.validate({ name: 'Steve' }, { name: { unique: { collection: collection, comparator: comparator } } }))
+          .toEqual({ name: ['Must be unique'] });
+        expect(Validator.validate({ name: 'Bob' }, { name: { unique: { collection: collection, comparator: comparator } } }))
+          .toBeNull();
+      });
+
+      describe('siblings re-validation', function() {
+        beforeEach(function() {
+          jasmine.clock().install();
+          spy = jasmine.createSpy('validated');
+          collection.at(0).on('validated', spy);
+        });
+
+        afterEach(function() {
+          jasmine.clock().uninstall();
+        });
+
+        it('re-validates sibling that has the same value', function() {
+          model.set({ name: 'Sam' });
+          model.validate();
+          jasmine.clock().tick(50);
+
+          expect(spy).toHaveBeenCalledWith(collection.at(0), { name: 'Sam' }, { name: ['Must be unique'] }, null);
+        });
+
+        it('re-validates sibling that had the same value', function() {
+          model.attributes.name = 'Sam';
+          model.set({ name: 'Bob' }, { validate: true });
+          jasmine.clock().tick(50);
+
+          expect(spy).toHaveBeenCalledWith(collection.at(0), { name: 'Sam' }, null, null);
+        });
+
+        it('re-validates sibling that has the same nested value', function() {
+          var Profile = Backbone.Model.extend({ validation: { 'profile.email': { unique: true } } }),
+            profiles = new Backbone.Collection([{ profile: { email: 'a@x' } }, { profile: { email: 'b@x' } }], { model: Profile });
+
+          profiles.at(0).on('validated', spy);
+          profiles.at(1).set({ profile: { email: 'a@x' } });
+          profiles.at(1).validate();
+          jasmine.clock().tick(50);
+
+          expect(spy).toHaveBeenCalledWith(profiles.at(0), { 'profile.email': 'a@x' }, { 'profile.email': ['Must be unique'] }, null);
+        });
+
+        it('does not re-validate siblings with other values', function() {
+          model.set({ name: 'Bob' }, { validate: true });
+          jasmine.clock().tick(50);
+
+          expect(spy).not.toHaveBeenCalled();
+        });
+
+        it('could be disabled', function() {
+          collection.at(0).validation = model.validation = { name: { unique: { revalidate: false } } };
+          model.set({ name: 'Sam' }, { validate: true });
+          jasmine.clock().tick(50);
+
+          expect(spy).not.toHaveBeenCalled();
+        });
+      });
+    });
+
+    describe('date', function() {
+      expectToPass('date', new Date(), true);
+      expectToPass('date', 1400000000000, true);
+      expectToPass('date', '2014-05-13', true);
+      expectToPass('date', '2014-05-13T16:53:20.000Z', true);
+      expectToPass('date', '', true);
+      expectToPass('date', 'not a date', false);
+      expectToFail('date', 'not a date', true, 'Is not a valid date');
+      expectToFail('date', '13/05/2014', true);
+      expectToFail('date', new Date('invalid'), true);
+      expectToFail('date', '2014-02-30', true);
+
+      it('parses date-only strings as local midnight', function() {
+        expect(Validator.parseDate('2014-05-13')).toEqual(new Date(2014, 4, 13));
+      });
+
+      it('uses parseDate hook', function() {
+        spyOn(Validator, 'parseDate').and.returnValue(new Date());
+        expect(Validator.validate({ attr: '13/05/2014' }, { attr: { date: true } })).toBeNull();
+        expect(Validator.parseDate).toHaveBeenCalledWith('13/05/2014');
+      });
+    });
+
+    describe('before', function() {
+      expectToPass('before', '2014-05-12', '2014-05-13');
+      expectToPass('before', new Date(2014, 4, 12), new Date(2014, 4, 13));
+      expectToPass('before', undefined, '2014-05-13');
+      expectToPass('before', '2014-05-12', function() {
+        return '2014-05-13';
+      });
+      expectToFail('before', '2014-05-13', '2014-05-13', 'Is too late');
+      expectToFail('before', 'invalid', '2014-05-13');
+    });
+
+    describe('after', function() {
+      expectToPass('after', '2014-05-14', '2014-05-13');
+      expectToPass('after', Date.UTC(2014, 4, 14), '2014-05-13');
+      expectToFail('after', '2014-05-13', '2014-05-13', 'Is too early');
+
+      it('compares date with another attribute', function() {
+        var validation = { endDate: { after: 'startDate' } };
+
+        expect(Validator.validate({ startDate: '2014-05-13', endDate: '2014-05-14' }, validation)).toBeNull();
+        expect(Validator.validate({ startDate: '2014-05-13', endDate: '2014-05-12' }, validation)).toEqual({
+          endDate: ['Is too early']
+        });
+        expect(Validator.validate({ endDate: '2014-05-12' }, validation)).toBeNull();
+      });
+    });
+
+    describe('between', function() {
+      expectToPass('between', '2014-05-13', ['2014-05-13', '2014-05-20']);
+      expectToPass('between', '2014-05-20', ['2014-05-13', '2014-05-20']);
+      expectToFail('between', '2014-05-21', ['2014-05-13', '2014-05-20'], 'Is out of range');
+      expectToFail('between', '2014-05-12', ['2014-05-13', '2014-05-20']);
+    });
+
+    describe('minAge', function() {
+      var yearsAgo = function(years, days) {
+        var date = new Date();
+        date.setFullYear(date.getFullYear() - years);
+        date.setDate(date.getDate() + (days || 0));
+        return date;
+      };
+
+      expectToPass('minAge', yearsAgo(18), 18);
+      expectToPass('minAge', null, 18);
+      expectToFail('minAge', yearsAgo(18, 1), 18, 'Is too young');
+      expectToPass('maxAge', yearsAgo(65, 1), 65);
+      expectToFail('maxAge', yearsAgo(66), 65, 'Is too old');
+
+      describe('on birthday boundary', function() {
+        beforeEach(function() {
+          jasmine.clock().install();
+          jasmine.clock().mockDate(new Date(2024, 5, 15, 23, 30));
+        });
+
+        afterEach(function() {
+          jasmine.clock().uninstall();
+        });
+
+        it('treats date-only strings as local dates', function() {
+          expect(Validator.validate({ birthday: '2006-06-15' }, { birthday: { minAge: 18 } })).toBeNull();
+          expect(Validator.validate({ birthday: '2006-06-16' }, { birthday: { minAge: 18 } }))
+            .toEqual({ birthday: ['Is too young'] });
+          expect(Validator.validate({ birthday: '1959-06-16' }, { birthday: { maxAge: 64 } })).toBeNull();
+        });
+      });
+    });
+
+    describe('type', function() {
+      var User = Backbone.Model.extend();
+
+      expectToPass('type', 'Sam', 'string');
+      expectToPass('type', 1, 'number');
+      expectToPass('type', false, 'boolean');
+      expectToPass('type', [], 'array');
+      expectToPass('type', {}, 'object');
+      expectToPass('type', new Date(), 'date');
+      expectToPass('type', undefined, 'string');
+      expectToPass('type', '1', ['string', 'number']);
+      expectToPass('type', new User(), User);
+      expectToPass('type', new User(), [Backbone.Collection, Backbone.Model]);
+      expectToPass('type', null, { type: 'string', nullable: true });
+      expectToPass('type', null, ['string', 'null']);
+      expectToFail('type', 1, 'string', 'Has invalid type');
+      expectToFail('type', '1', 'number');
+      expectToFail('type', NaN, 'number');
+      expectToFail('type', 'true', 'boolean');
+      expectToFail('type', {}, 'array');
+      expectToFail('type', [], 'object');
+      expectToFail('type', '2014-05-13', 'date');
+      expectToFail('type', true, ['string', 'number']);
+      expectToFail('type', {}, User);
+      expectToFail('type', null, 'string');
+      expectToFail('type', null, { type: 'string' });
+
+      it('throws error for missed type', function() {
+        expect(function() {
+          Validator.validate({ age: 1 }, { age: { type: 'integr' } });
+        }).toThrow(new Error('Missed type: integr'));
+        expect(function() {
+          Validator.validate({ age: null }, { age: { type: ['number', 'integr'] } });
+        }).toThrow(new Error('Missed type: integr'));
+      });
+
+      it('uses custom types', function() {
+        Validator.types.even = function(value) {
+          return value % 2 === 0;
+        };
+
+        expect(Validator.validate({ attr: 2 }, { attr: { type: 'even' } })).toBeNull();
+        expect(Validator.validate({ attr: 3 }, { attr: { type: 'even' } })).toEqual({ attr: ['Has invalid type'] });
+        delete Validator.types.even;
+      });
+    });
+
+    describe('each', function() {
+      var validation = {
+        emails: {
+          each: { required: true, format: 'email' }
+        }
+      };
+
+      expectToPass('each', ['a', 'b'], { maxLength: 1 });
+      expectToPass('each', [], { required: true });
+      expectToPass('each', undefined, { required: true });
+      expectToPass('each', new Backbone.Collection([{ id: 1 }]), { required: true });
+      expectToFail('each', 'a', { maxLength: 1 }, 'Is not a list');
+
+      it('reports errors indexed by position', function() {
+        var errors = Validator.validate({ emails: ['user@example.com', '', 'user_example_com'] }, validation);
+
+        expect(errors).toEqual({
+          'emails[1]': ['Is required'],
+          'emails[2]': ['Does not match format']
+        });
+      });
+
+      it('accepts list of rules', function() {
+        var errors = Validator.validate({ tags: ['a', 'abcd'] }, {
+          tags: {
+            each: [{ minLength: 2, message: 'Too short' }, { maxLength: 3, message: 'Too long' }]
+          }
+        });
+
+        expect(errors).toEqual({ 'tags[0]': ['Too short'], 'tags[1]': ['Too long'] });
+      });
+
+      it('validates nested lists', function() {
+        var errors = Validator.validate({ matrix: [[1, 2], [3, 'a']] }, {
+          matrix: { each: { each: { type: 'number' } } }
+        });
+
+        expect(errors).toEqual({ 'matrix[1][1]': ['Has invalid type'] });
+      });
+
+      it('reports nested errors along with errors of the attribute itself', function() {
+        var errors = Validator.validate({ tags: ['a', 'b', ''] }, {
+          tags: { maxLength: 2, each: { required: true } }
+        });
+
+        expect(errors).toEqual({ tags: ['Is too long'], 'tags[2]': ['Is required'] });
+      });
+
+      it('resolves async errors of items', function(done) {
+        Validator.validateAsync({ names: ['sam', 'root'] }, {
+          names: {
+            each: {
+              fn: function(value) {
+                return Promise.resolve(value !== 'root' || 'Is already taken');
+              }
+            }
+          }
+        }).then(function(errors) {
+          expect(errors).toEqual({ 'names[1]': ['Is already taken'] });
+          done();
+        });
+      });
+
+      it('returns structured errors with item paths', function() {
+        var errors = Validator.validate({ emails: [''] }, validation, null, { structured: true });
+        expect(errors['emails[0]'][0].path).toEqual('emails[0]');
+      });
+    });
+
+    describe('shape', function() {
+      var validation;
+
+      beforeEach(function() {
+        validation = {
+          settings: {
+            shape: {
+              theme: { inclusion: ['light', 'dark'] },
+              locale: { required: true }
+            }
+          }
+        };
+      });
+
+      expectToPass('shape', { a: 1 }, { a: { required: true } });
+      expectToPass('shape', null, { a: { required: true } });
+      expectToFail('shape', 'a', { a: { required: true } }, 'Has invalid structure');
+      expectToFail('shape', [], { a: { required: true } });
+
+      it('reports nested errors under paths', function() {
+        expect(Validator.validate({ settings: { theme: 'blue' } }, validation)).toEqual({
+          'settings.theme': ['Must be one of: light, dark'],
+          'settings.locale': ['Is required']
+        });
+      });
+
+      it('passes with valid values', function() {
+        expect(Validator.validate({ settings: { theme: 'dark', locale: 'en', extra: 1 } }, validation)).toBeNull();
+      });
+
+      it('rejects unknown keys in strict mode', function() {
+        validation.settings.strict = true;
+
+        expect(Validator.validate({ settings: { theme: 'dark', locale: 'en', extra: 1 } }, validation)).toEqual({
+          'settings.extra': ['Is not allowed']
+        });
+      });
+
+      it('validates nested shapes and lists', function() {
+        var errors = Validator.validate({ profile: { contacts: [{ email: 'user@example.com' }, { email: '' }] } }, {
+          profile: {
+            shape: {
+              contacts: {
+                each: { shape: { email: { required: true } } }
+              }
+            }
+          }
+        });
+
+        expect(errors).toEqual({ 'profile.contacts[1].email': ['Is required'] });
+      });
+
+      it('uses nested object as state for cross-field rules', function() {
+        var errors = Validator.validate({ account: { password: 'a', confirmation: 'b' } }, {
+          account: {
+            shape: {
+              confirmation: { equalTo: 'password' }
+            }
+          }
+        });
+
+        expect(errors).toEqual({ 'account.confirmation': ['Does not match'] });
+      });
+    });
+
+    describe('minItems', function() {
+      expectToPass('minItems', [1, 2], 2);
+      expectToPass('minItems', new Backbone.Collection([{}, {}]), 2);
+      expectToPass('minItems', undefined, 2);
+      expectToFail('minItems', [], 1, 'Has too few items');
+      expectToFail('minItems', new Backbone.Collection([{}]), 2);
+      expectToFail('minItems', 'abc', 1, 'Is not a list');
+    });
+
+    describe('maxItems', function() {
+      expectToPass('maxItems', [1, 2], 2);
+      expectToPass('maxItems', null, 2);
+      expectToFail('maxItems', [1, 2, 3], 2, 'Has too many items');
+      expectToFail('maxItems', new Backbone.Collection([{}, {}, {}]), 2);
+      expectToFail('maxItems', { a: 1, b: 2 }, 1, 'Is not a list');
+    });
+
+    describe('uniqueItems', function() {
+      expectToPass('uniqueItems', ['admin', 'user'], true);
+      expectToPass('uniqueItems', ['admin', 'admin'], false);
+      expectToPass('uniqueItems', [{ id: 1 }, { id: 2 }], 'id');
+      expectToPass('uniqueItems', new Backbone.Collection([{ name: 'a' }, { name: 'b' }]), 'name');
+      expectToPass('uniqueItems', ['a', 'B'], function(item) {
+        return item.toLowerCase();
+      });
+      expectToFail('uniqueItems', ['admin', 'admin'], true, 'Has duplicate items');
+      expectToFail('uniqueItems', [{ id: 1 }, { id: 1 }], 'id');
+      expectToFail('uniqueItems', new Backbone.Collection([{ name: 'a' }, { name: 'a' }]), 'name');
+      expectToFail('uniqueItems', 'aa', true, 'Is not a list');
+      expectToFail('uniqueItems', ['a', 'A'], function(item) {
+        return item.toLowerCase();
+      });
+    });
+
+    describe('contains', function() {
+      expectToPass('contains', ['admin', 'user'], 'admin');
+      expectToPass('contains', ['admin', 'user'], ['admin', 'user']);
+      expectToPass('contains', undefined, 'admin');
+      expectToPass('contains', [{ primary: false }, { primary: true }], function(item) {
+        return item.primary;
+      });
+      expectToFail('contains', ['user'], 'admin', 'Does not contain required items');
+      expectToFail('contains', ['admin'], ['admin', 'user']);
+      expectToFail('contains', 'admin', 'a', 'Is not a list');
+      expectToFail('contains', { role: 'admin' }, 'admin', 'Is not a list');
+      expectToFail('contains', [], function(item) {
+        return item.primary;
+      });
+    });
+
+    describe('anyOf', function() {
+      var phone = [{ format: /^\d{3}-\d{3}-\d{4}$/, message: 'Is not US phone' }, { format: /^\+\d{10,}$/, message: 'Is not international phone' }];
+
+      expectToPass('anyOf', '555-123-4567', phone);
+      expectToPass('anyOf', '+380501234567', phone);
+      expectToPass('anyOf', 'N/A', [{ format: 'url' }, { inclusion: ['N/A'] }]);
+      expectToPass('anyOf', 'http://example.com', [{ format: 'url' }, { inclusion: ['N/A'] }]);
+      expectToFail('anyOf', '555', phone, 'Is not US phone or Is not international phone');
+      expectToFail('anyOf', 'none', [{ format: 'url' }, [{ minLength: 5 }, { inclusion: ['N/A'] }]],
+        'Does not match format or Is too short or Must be one of: N/A');
+
+      it('uses rule message', function() {
+        expect(Validator.validate({ phone: '555' }, { phone: { anyOf: phone, message: 'Invalid phone' } }))
+          .toEqual({ phone: ['Invalid phone'] });
+      });
+
+      it('runs nested rules regardless of groups', function() {
+        expect(Validator.validate({ phone: '555' }, { phone: { anyOf: phone, on: 'contacts' } }, null, { group: 'contacts' }))
+          .toEqual({ phone: ['Is not US phone or Is not international phone'] });
+      });
+
+      it('runs nested rules with validation context and state', function() {
+        var validation = { confirmation: { anyOf: [{ equalTo: 'password' }, { inclusion: ['skip'] }] } };
+
+        expect(Validator.validate({ password: 'secret', confirmation: 'secret' }, validation)).toBeNull();
+        expect(Validator.validate({ confirmation: 'secret' }, validation, null, { state: { password: 'other' } }))
+          .toEqual({ confirmation: ['Does not match or Must be one of: skip'] });
+      });
+
+      it('collects messages of nested values', function() {
+        expect(Validator.validate({ emails: ['user'] }, { emails: { anyOf: [{ each: { format: 'email' } }, { type: 'string' }] } }))
+          .toEqual({ emails: ['Does not match format or Has invalid type'] });
+      });
+
+      it('does not support async validators', function() {
+        var validation = {
+          name: {
+            anyOf: [{ fn: function() { return Promise.resolve(false); } }, { inclusion: ['root'] }]
+          }
+        };
+
+        expect(function() {
+          Validator.validate({ name: 'sam' }, validation);
+        }).toThrow(new Error('Async validators are not supported by composite validators: name'));
+      });
+    });
+
+    describe('allOf', function() {
+      var rules = [{ minLength: 8 }, { format: /\d/, message: 'Should contain digits' }];
+
+      expectToPass('allOf', 'secret123', rules);
+      expectToFail('allOf', 'secret', rules, 'Is too short, Should contain digits');
+      expectToFail('allOf', 'secret12', [{ minLength: 10 }], 'Is too short');
+
+      it('returns structured error with combined message', function() {
+        var errors = Validator.validate({ password: 'secret' }, { password: { allOf: rules } }, null, { structured: true });
+
+        expect(errors.password).toEqual([jasmine.objectContaining({
+          validator: 'allOf',
+          message: 'Is too short, Should contain digits'
+        })]);
+      });
+    });
+
+    describe('not', function() {
+      expectToPass('not', 'sam', { inclusion: ['admin', 'root'] });
+      expectToPass('not', 'user@example.com', [{ format: /@example\.org$/ }]);
+      expectToFail('not', 'root', { inclusion: ['admin', 'root'] }, 'Is not allowed');
+      expectToPass('not', '', { inclusion: ['admin', 'root'] });
+      expectToPass('not', undefined, { format: /\d/ });
+      expectToPass('not', '', { required: true });
+      expectToPass('not', ' ', { blank: false });
+      expectToFail('not', 'sam', { required: true }, 'Is not allowed');
+      expectToFail('not', undefined, [{ required: false }], 'Is not allowed');
+
+      it('negates composite rules', function() {
+        expect(Validator.validate({ name: 'root' }, { name: { not: { anyOf: [{ inclusion: ['admin'] }, { inclusion: ['root'] }] } } }))
+          .toEqual({ name: ['Is not allowed'] });
+      });
+    });
+
+    describe('inclusion', function() {
+      var statuses = new Backbone.Collection([{ id: 1, name: 'draft' }, { id: 2, name: 'published' }]);
+
+      expectToPass('inclusion', 'draft', ['draft', 'published']);
+      expectToPass('inclusion', undefined, ['draft', 'published']);
+      expectToPass('inclusion', '', ['draft', 'published']);
+      expectToPass('inclusion', 'draft', function() {
+        return ['draft'];
+      });
+      expectToPass('inclusion', 2, statuses);
+      expectToPass('inclusion', 'published', { collection: statuses, key: 'name' });
+      expectToFail('inclusion', 'archived', ['draft', 'published'], 'Must be one of: draft, published');
+      expectToFail('inclusion', 3, statuses, 'Must be one of: 1, 2');
+      expectToFail('inclusion', 'archived', { collection: statuses, key: 'name' }, 'Must be one of: draft, published');
+      expectToFail('oneOf', 'archived', ['draft'], 'Must be one of: draft');
+      expectToFail('enum', 'archived', ['draft'], 'Must be one of: draft');
+    });
+
+    describe('exclusion', function() {
+      expectToPass('exclusion', 'sam', ['admin', 'root']);
+      expectToPass('exclusion', null, ['admin', 'root']);
+      expectToFail('exclusion', 'root', ['admin', 'root'], 'Must not be one of: admin, root');
+      expectToFail('exclusion', 'root', function() {
+        return ['root'];
+      }, 'Must not be one of: root');
+      expectToFail('notOneOf', 'root', ['root'], 'Must not be one of: root');
+    });
+
     describe('fn', function() {
       expectToPass('fn', 'Sam', function(value) {
         return value.length === 3;
@@ -104,6 +814,22 @@ describe('Backbone.Validator', function() {
       expectToFail('fn', 'Samuel', function(value) {
         return value.length === 3 ? null : 'custom message';
       }, 'custom message');
+
+      it('receives model attributes merged with ones being validated', function() {
+        model = create(Backbone.Model, {
+          validation: {
+            passwordConfirmation: {
+              fn: function(value, attrs, state) {
+                return value === state.password || 'Does not match';
+              }
+            }
+          }
+        }, { password: 'secret' });
+
+        expect(model.set({ passwordConfirmation: 'secret' }, { validate: true })).toBeTruthy();
+        expect(model.set({ passwordConfirmation: 'wrong' }, { validate: true })).toBeFalsy();
+        expect(model.validationError).toEqual({ passwordConfirmation: ['Does not match'] });
+      });
     });
 
     describe('format', function() {
@@ -122,6 +848,10 @@ describe('Backbone.Validator', function() {
 
       expectToPass('format', '123.789', 'number');
       expectToFail('format', '123.789a', 'number');
+
+      expectToPass('format', '2014-05-13', 'iso8601');
+      expectToPass('format', '2014-05-13T16:53:20+03:00', 'iso8601');
+      expectToFail('format', '2014-5-13', 'iso8601');
     });
 
     describe('collection', function() {
@@ -180,64 +910,800 @@ describe('Backbone.Validator', function() {
 
     });
 
-    describe('model', function() {
-      var User = Backbone.Model.extend({
-        validation: {
-          name: {
-            required: true
+    describe('model', function() {
+      var User = Backbone.Model.extend({
+        validation: {
+          name: {
+            required: true
+          }
+        }
+      });
+
+      expectToPass('model', new User({ name: 'Sam' }));
+      expectToPass('model', new User({ name: '' }), false);
+      expectToPass('model', undefined);
+      expectToPass('model', null);
+      expectToFail('model', new User({ name: '' }), true, { name: [ 'Is required' ] });
+      expectToPass('model', { name: 'Sam' }, function(attrs) {
+        return new User(attrs);
+      });
+    });
+  });
+
+  describe('#validate', function() {
+    var attrs, validation;
+
+    beforeEach(function() {
+      attrs = { name: 'a' };
+      validation = {
+        name: {
+          minLength: 3,
+          message: function(attr, value, expectation, validator) {
+            return 'Inline: ' + _.toArray(arguments).join(', ');
+          }
+        }
+      };
+    });
+
+    it('allows error to be a function', function() {
+      var errors = Validator.validate(attrs, validation);
+      expect(errors).toEqual({ name: ['Inline: name, a, 3, minLength'] });
+    });
+
+    it('uses global error generator if specified', function() {
+      validation.name.message = null;
+      spyOn(Validator, 'createMessage').and.callFake(function() {
+        return 'Global: ' + _.initial(arguments).join(', ');
+      });
+
+      var errors = Validator.validate(attrs, validation);
+      expect(errors).toEqual({ name: ['Global: name, a, 3, minLength'] });
+    });
+
+    it('formats error message', function() {
+      validation.name.message = 'inline';
+      spyOn(Validator, 'formatMessage').and.callFake(function() {
+        return 'Formatted: ' + _.initial(arguments).join(', ');
+      });
+
+      var errors = Validator.validate(attrs, validation);
+      expect(errors).toEqual({ name: ['Formatted: inline, name, a, 3, minLength'] });
+    });
+
+    describe('in complete mode', function() {
+      beforeEach(function() {
+        validation = {
+          name: { required: true },
+          email: { required: true, format: 'email' }
+        };
+      });
+
+      it('skips missing attributes by default', function() {
+        expect(Validator.validate({ name: 'Sam' }, validation)).toBeNull();
+      });
+
+      it('validates attributes missing in passed hash', function() {
+        expect(Validator.validate({ name: 'Sam' }, validation, null, { complete: true })).toEqual({
+          email: ['Is required']
+        });
+      });
+    });
+
+    describe('with conditional rules', function() {
+      beforeEach(function() {
+        validation = {
+          company: [{
+            required: true,
+            if: 'employed'
+          }, {
+            minLength: 3,
+            unless: function(value, state) {
+              return state.country === 'CN';
+            }
+          }]
+        };
+      });
+
+      it('runs rule if `if` condition is truthy', function() {
+        expect(Validator.validate({ company: '', employed: true }, validation)).toEqual({ company: ['Is required'] });
+      });
+
+      it('skips rule if `if` condition is falsy', function() {
+        expect(Validator.validate({ company: '' }, validation)).toBeNull();
+      });
+
+      it('skips rule if `unless` condition is truthy', function() {
+        expect(Validator.validate({ company: 'AB', country: 'CN' }, validation)).toBeNull();
+        expect(Validator.validate({ company: 'AB', country: 'US' }, validation)).toEqual({ company: ['Is too short'] });
+      });
+
+      it('evaluates conditions with model as context against its state', function() {
+        model = create(Backbone.Model, {
+          validation: {
+            company: {
+              required: true,
+              if: function() {
+                return this.isEmployee();
+              }
+            }
+          },
+
+          isEmployee: function() {
+            return this.get('employed');
+          }
+        }, { employed: true });
+
+        expect(model.validate('company')).toEqual({ company: ['Is required'] });
+        model.set('employed', false);
+        expect(model.validate('company')).toBeNull();
+      });
+    });
+
+    describe('with groups', function() {
+      beforeEach(function() {
+        attrs = { name: '', email: '', password: '' };
+        validation = {
+          name: { required: true },
+          email: { required: true, on: 'step1' },
+          password: { required: true, on: ['step2', 'create'] }
+        };
+      });
+
+      it('runs all rules if group is not specified', function() {
+        expect(_.keys(Validator.validate(attrs, validation))).toEqual(['name', 'email', 'password']);
+      });
+
+      it('runs only rules of specified group', function() {
+        expect(_.keys(Validator.validate(attrs, validation, null, { group: 'step1' }))).toEqual(['email']);
+        expect(_.keys(Validator.validate(attrs, validation, null, { scenario: 'create' }))).toEqual(['password']);
+      });
+
+      it('runs rules of several groups', function() {
+        expect(_.keys(Validator.validate(attrs, validation, null, { group: ['step1', 'step2'] }))).toEqual(['email', 'password']);
+      });
+
+      it('treats rules without groups as default group', function() {
+        expect(_.keys(Validator.validate(attrs, validation, null, { group: 'default' }))).toEqual(['name']);
+      });
+
+      it('runs only rules of specified group for model', function() {
+        model = create(Backbone.Model, { validation: validation }, attrs);
+
+        expect(model.isValid(null, { group: 'step2' })).toBeFalsy();
+        model.set('password', 'secret');
+        expect(model.isValid(null, { group: 'step2' })).toBeTruthy();
+      });
+    });
+
+    describe('with bail option', function() {
+      beforeEach(function() {
+        attrs = { name: 'ab', password: 'abc' };
+        validation = {
+          name: { minLength: 3, format: /\d/ },
+          password: [
+            { minLength: 8, message: 'Is too short' },
+            { format: /\d/, message: 'Should contain digits' }
+          ]
+        };
+      });
+
+      it('runs all validators by default', function() {
+        expect(Validator.validate(attrs, validation)).toEqual({
+          name: ['Is too short', 'Does not match format'],
+          password: ['Is too short', 'Should contain digits']
+        });
+      });
+
+      it('stops after first failed validator of each attribute', function() {
+        expect(Validator.validate(attrs, validation, null, { bail: true })).toEqual({
+          name: ['Is too short'],
+          password: ['Is too short']
+        });
+      });
+
+      it('stops after first failed validator of listed attributes', function() {
+        expect(Validator.validate(attrs, validation, null, { bail: ['password'] })).toEqual({
+          name: ['Is too short', 'Does not match format'],
+          password: ['Is too short']
+        });
+      });
+
+      it('could be specified per rule', function() {
+        validation.name.bail = true;
+        validation.password[1].bail = false;
+
+        expect(Validator.validate(attrs, validation)).toEqual({
+          name: ['Is too short'],
+          password: ['Is too short', 'Should contain digits']
+        });
+        expect(Validator.validate(attrs, validation, null, { bail: true }).password).toEqual(['Is too short']);
+      });
+
+      it('could be specified for model', function() {
+        model = create(Backbone.Model, { validation: validation, validationOptions: { bail: true } }, attrs);
+        expect(model.validate().name).toEqual(['Is too short']);
+      });
+
+      it('stops at first invalid attribute with abortEarly option', function() {
+        var spy = jasmine.createSpy('validator').and.returnValue(true);
+
+        validation.email = { fn: spy };
+        attrs.email = 'user@example.com';
+
+        expect(Validator.validate(attrs, validation, null, { abortEarly: true })).toEqual({
+          name: ['Is too short', 'Does not match format']
+        });
+        expect(spy).not.toHaveBeenCalled();
+      });
+
+      it('checks model validity with abortEarly option', function() {
+        model = create(Backbone.Model, { validation: validation }, attrs);
+        expect(model.isValid(null, { abortEarly: true })).toBeFalsy();
+        expect(_.keys(model.validate(null, { abortEarly: true }))).toEqual(['name']);
+      });
+    });
+
+    describe('with severity', function() {
+      beforeEach(function() {
+        validation = {
+          password: [
+            { required: true },
+            { minLength: 8, severity: 'warning', message: 'Password is weak' }
+          ],
+          name: { format: /^[a-z]+$/i, severity: 'info', message: 'Name looks unusual' }
+        };
+      });
+
+      it('collects failures of non-blocking rules as warnings', function() {
+        var warnings = {};
+
+        expect(Validator.validate({ password: 'secret', name: 'R2D2' }, validation, null, { warnings: warnings })).toBeNull();
+        expect(warnings).toEqual({ password: ['Password is weak'], name: ['Name looks unusual'] });
+      });
+
+      it('returns blocking errors only', function() {
+        expect(Validator.validate({ password: '', name: 'R2D2' }, validation)).toEqual({ password: ['Is required'] });
+      });
+
+      it('treats error severity as blocking', function() {
+        validation.name.severity = 'error';
+        expect(Validator.validate({ name: 'R2D2' }, validation)).toEqual({ name: ['Name looks unusual'] });
+      });
+
+      it('throws error for unknown severity', function() {
+        validation.name.severity = 'Error';
+
+        expect(function() {
+          Validator.validate({ name: 'R2D2' }, validation);
+        }).toThrow(new Error('Missed severity: Error'));
+      });
+
+      it('adds severity into structured errors', function() {
+        var warnings = {};
+
+        Validator.validate({ password: 'secret' }, validation, null, { warnings: warnings, structured: true });
+        expect(warnings.password[0]).toEqual(jasmine.objectContaining({ validator: 'minLength', severity: 'warning' }));
+      });
+
+      it('does not bail on warnings', function() {
+        var warnings = {};
+
+        validation.password.push({ format: /\d/ });
+        expect(Validator.validate({ password: 'secret' }, validation, null, { warnings: warnings, bail: true }))
+          .toEqual({ password: ['Does not match format'] });
+        expect(warnings).toEqual({ password: ['Password is weak'] });
+      });
+    });
+
+    describe('with transforms', function() {
+      beforeEach(function() {
+        validation = {
+          email: { transform: ['trim', 'toLowerCase'], format: 'email' },
+          age: { sanitize: 'toNumber', type: 'number' },
+          birthday: { transform: 'toDate', type: 'date' }
+        };
+      });
+
+      it('transforms values before validation', function() {
+        expect(Validator.validate({ email: ' John@Example.com ', age: '42', birthday: '2000-01-01' }, validation)).toBeNull();
+        expect(Validator.validate({ email: ' john@ ', age: 'old' }, validation)).toEqual({
+          email: ['Does not match format'],
+          age: ['Has invalid type']
+        });
+      });
+
+      it('supports custom transforms', function() {
+        var context = {},
+          transform = jasmine.createSpy('transform').and.returnValue('sam');
+
+        expect(Validator.validate({ name: 'Samuel' }, { name: { transform: transform, maxLength: 3 } }, context)).toBeNull();
+        expect(transform).toHaveBeenCalledWith('Samuel', { name: 'Samuel' }, jasmine.objectContaining({ validator: Validator }));
+        expect(transform.calls.mostRecent().object).toBe(context);
+      });
+
+      it('throws error for missed transform', function() {
+        expect(function() {
+          Validator.validate({ name: 'Sam' }, { name: { transform: 'unknown' } });
+        }).toThrow(new Error('Missed transform: unknown'));
+      });
+
+      it('skips transforms with transform option disabled', function() {
+        expect(Validator.validate({ email: ' john@example.com ' }, validation, null, { transform: false }))
+          .toEqual({ email: ['Does not match format'] });
+      });
+
+      it('sanitizes attributes', function() {
+        var attrs = { email: ' John@Example.com ', age: '42', name: ' Sam ' };
+
+        expect(Validator.sanitize(attrs, validation)).toEqual({ email: 'john@example.com', age: 42, name: ' Sam ' });
+        expect(attrs.email).toEqual(' John@Example.com ');
+      });
+    });
+
+    describe('with structured errors', function() {
+      it('returns error objects', function() {
+        var errors = Validator.validate({ name: 'Samuel' }, {
+          name: { maxLength: 3, code: 'name_too_long' }
+        }, null, { structured: true });
+
+        expect(errors).toEqual({
+          name: [{
+            validator: 'maxLength',
+            code: 'name_too_long',
+            message: 'Is too long',
+            expectation: 3,
+            value: 'Samuel',
+            path: 'name'
+          }]
+        });
+      });
+
+      it('uses validator name as default code', function() {
+        var errors = Validator.validate({ 'a': '' }, { 'a': { required: true } }, null, { structured: true });
+        expect(errors.a[0].code).toEqual('required');
+      });
+    });
+
+    describe('with nested paths', function() {
+      beforeEach(function() {
+        attrs = {
+          address: { city: '' },
+          profile: { contacts: [{ email: 'user@example.com' }, { email: 'user_example_com' }] }
+        };
+
+        validation = {
+          'address.city': { required: true },
+          'profile.contacts[1].email': { format: 'email' }
+        };
+      });
+
+      it('validates nested values and reports errors under the path', function() {
+        expect(Validator.validate(attrs, validation)).toEqual({
+          'address.city': ['Is required'],
+          'profile.contacts[1].email': ['Does not match format']
+        });
+      });
+
+      it('validates only paths of passed attributes', function() {
+        expect(Validator.validate({ address: { city: 'Paris' } }, validation)).toBeNull();
+      });
+
+      it('validates attributes passed by path', function() {
+        expect(Validator.validate({ 'address.city': '' }, validation)).toEqual({ 'address.city': ['Is required'] });
+      });
+
+      it('validates model attributes by path', function() {
+        model = create(Backbone.Model, { validation: validation }, attrs);
+
+        expect(model.validate('address.city')).toEqual({ 'address.city': ['Is required'] });
+        expect(model.isValid('profile.contacts[0].email')).toBeTruthy();
+      });
+    });
+  });
+
+  describe('#validateModel', function() {
+    var contact = function(state) {
+      return !!(state.phone || state.email) || 'Either phone or email should be provided';
+    };
+
+    it('reports message under base key', function() {
+      expect(Validator.validateModel({ phone: '' }, [contact]))
+        .toEqual({ base: ['Either phone or email should be provided'] });
+      expect(Validator.validateModel({ phone: '123' }, [contact])).toBeNull();
+      expect(Validator.validateModel({}, function() { return false; })).toEqual({ base: ['Invalid'] });
+    });
+
+    it('reports errors of several attributes', function() {
+      var total = function(state) {
+        return state.total === state.amount || { total: 'Does not match amount', amount: ['Does not match total'] };
+      };
+
+      expect(Validator.validateModel({ total: 10, amount: 20 }, [contact, total])).toEqual({
+        base: ['Either phone or email should be provided'],
+        total: ['Does not match amount'],
+        amount: ['Does not match total']
+      });
+    });
+
+    it('calls validators with context and options', function() {
+      var context = {},
+        validator = jasmine.createSpy('validator').and.returnValue(true);
+
+      Validator.validateModel({ name: 'Sam' }, validator, context, { structured: true });
+      expect(validator).toHaveBeenCalledWith({ name: 'Sam' }, jasmine.objectContaining({ structured: true, validator: Validator }));
+      expect(validator.calls.mostRecent().object).toBe(context);
+    });
+
+    it('returns structured errors', function() {
+      expect(Validator.validateModel({}, [contact], null, { structured: true })).toEqual({
+        base: [{ validator: 'model', code: 'model', message: 'Either phone or email should be provided', path: 'base' }]
+      });
+    });
+  });
+
+  describe('#coerce', function() {
+    var validation = {
+      age: { type: 'number' },
+      admin: { type: 'boolean' },
+      code: { type: 'string' },
+      birthday: { type: 'date' },
+      rank: { type: { type: 'number', nullable: true } },
+      score: [{ required: true }, { type: ['null', 'number'] }]
+    };
+
+    it('coerces values to types of rules', function() {
+      var attrs = Validator.coerce({ age: '42', admin: 'false', code: 123, rank: '', score: '1.5', name: '7' }, validation);
+
+      expect(attrs).toEqual({ age: 42, admin: false, code: '123', rank: null, score: 1.5, name: '7' });
+    });
+
+    it('coerces booleans', function() {
+      expect(Validator.coerce({ admin: 'true' }, validation).admin).toBe(true);
+      expect(Validator.coerce({ admin: 1 }, validation).admin).toBe(true);
+      expect(Validator.coerce({ admin: '0' }, validation).admin).toBe(false);
+    });
+
+    it('coerces dates', function() {
+      expect(Validator.coerce({ birthday: '2000-01-01' }, validation).birthday).toEqual(new Date(2000, 0, 1));
+    });
+
+    it('leaves values that could not be coerced', function() {
+      expect(Validator.coerce({ age: 'old', admin: 'yes', birthday: 'tomorrow', code: null }, validation))
+        .toEqual({ age: 'old', admin: 'yes', birthday: 'tomorrow', code: null });
+    });
+
+    it('does not modify passed attributes', function() {
+      var attrs = { age: '42' };
+
+      Validator.coerce(attrs, validation);
+      expect(attrs.age).toEqual('42');
+    });
+
+    it('uses custom coercers', function() {
+      var validator = Validator.create();
+
+      validator.types.list = _.isArray;
+      validator.coercers.list = function(value) {
+        return String(value).split(',');
+      };
+
+      expect(validator.coerce({ tags: 'a,b' }, { tags: { type: 'list' } })).toEqual({ tags: ['a', 'b'] });
+      expect(Validator.coercers.list).toBeUndefined();
+    });
+  });
+
+  describe('#defaults', function() {
+    it('builds defaults from rules', function() {
+      var context = { role: 'user' };
+
+      expect(Validator.defaults({
+        name: { required: true },
+        role: [{ required: true }, { inclusion: ['user', 'admin'], 'default': function() { return this.role; } }],
+        tags: { type: 'array', 'default': [] },
+        admin: { type: 'boolean', 'default': false }
+      }, context)).toEqual({ role: 'user', tags: [], admin: false });
+    });
+  });
+
+  describe('#validateAsync', function() {
+    var validation;
+
+    beforeEach(function() {
+      Validator.add('available', function(value, expectation) {
+        return new Promise(function(resolve) {
+          resolve(!_.contains(expectation, value) || 'Is already taken');
+        });
+      });
+
+      validation = {
+        name: {
+          minLength: 3,
+          available: ['admin', 'root']
+        }
+      };
+    });
+
+    it('skips pending validators in sync mode', function() {
+      expect(Validator.validate({ name: 'root' }, validation)).toBeNull();
+    });
+
+    it('resolves with null if validation passed', function(done) {
+      Validator.validateAsync({ name: 'sam' }, validation).then(function(errors) {
+        expect(errors).toBeNull();
+        done();
+      });
+    });
+
+    it('resolves with async errors', function(done) {
+      Validator.validateAsync({ name: 'root' }, validation).then(function(errors) {
+        expect(errors).toEqual({ name: ['Is already taken'] });
+        done();
+      });
+    });
+
+    it('merges async errors with sync ones', function(done) {
+      validation.name.available = ['ro'];
+
+      Validator.validateAsync({ name: 'ro' }, validation).then(function(errors) {
+        expect(errors).toEqual({ name: ['Is too short', 'Is already taken'] });
+        done();
+      });
+    });
+
+    it('treats rejected promise as failure', function(done) {
+      Validator.validateAsync({ name: 'sam' }, {
+        name: {
+          fn: function() {
+            return Promise.reject('Server error');
+          }
+        }
+      }).then(function(errors) {
+        expect(errors).toEqual({ name: ['Server error'] });
+        done();
+      });
+    });
+
+    it('throws error if promise implementation is not set', function() {
+      var promise = Validator.Promise;
+      Validator.Promise = null;
+
+      expect(function() {
+        Validator.validateAsync({ name: 'sam' }, validation);
+      }).toThrow(new Error('Backbone.Validator.Promise is not set'));
+
+      expect(function() {
+        Validator.validate({ name: 'sam' }, validation, null, { pending: [] });
+      }).toThrow(new Error('Backbone.Validator.Promise is not set'));
+
+      Validator.Promise = promise;
+    });
+
+    it('collects async warnings', function(done) {
+      var warnings = {};
+
+      validation.name.severity = 'warning';
+
+      Validator.validateAsync({ name: 'root' }, validation, null, { warnings: warnings }).then(function(errors) {
+        expect(errors).toBeNull();
+        expect(warnings).toEqual({ name: ['Is already taken'] });
+        done();
+      });
+    });
+  });
+
+  describe('#create', function() {
+    var validator;
+
+    beforeEach(function() {
+      validator = Validator.create({
+        createMessage: function(attrName, attrValue, attrExpectation, validatorName) {
+          return 'Local: ' + validatorName;
+        }
+      });
+
+      validator.add('even', function(value) {
+        return value % 2 === 0;
+      });
+
+      validator.formats.zip = /^\d{5}$/;
+    });
+
+    it('inherits built-in validators', function() {
+      expect(validator.validate({ name: '' }, { name: { required: true } })).toEqual({ name: ['Local: required'] });
+    });
+
+    it('has own validators registry', function() {
+      expect(validator.validate({ number: 1 }, { number: { even: true } })).toEqual({ number: ['Local: even'] });
+      expect(function() {
+        Validator.validate({ number: 1 }, { number: { even: true } });
+      }).toThrow(new Error('Missed validator: even'));
+    });
+
+    it('has own formats', function() {
+      expect(validator.validate({ zip: '1234' }, { zip: { format: 'zip' } })).toEqual({ zip: ['Local: format'] });
+      expect(Validator.formats.zip).toBeUndefined();
+    });
+
+    it('has own hooks', function() {
+      expect(Validator.validate({ name: '' }, { name: { required: true } })).toEqual({ name: ['Is required'] });
+    });
+
+    it('is used by model declaring it', function() {
+      model = create(Backbone.Model, {
+        validator: validator,
+        validation: {
+          number: { even: true }
+        }
+      }, { number: 1 });
+
+      expect(model.validate()).toEqual({ number: ['Local: even'] });
+      expect(model.set({ number: 3 }, { validate: true })).toBeFalsy();
+      expect(model.isValid()).toBeFalsy();
+    });
+
+    it('has own base classes', function() {
+      var Model = validator.ValidatedModel.extend({ validation: { number: { even: true } } }),
+        collection = new validator.ValidatedCollection([{ number: 1 }]);
+
+      expect(Model).not.toBe(Validator.ValidatedModel);
+      expect(new Model({ number: 1 }).validate()).toEqual({ number: ['Local: even'] });
+      expect(new validator.ValidatedView().validator).toBe(validator);
+      expect(collection.validator).toBe(validator);
+      expect(collection.first().validator).toBe(validator);
+    });
+
+    it('uses own ViewCallbacks for views declaring it', function() {
+      var invalid = jasmine.createSpy('invalid');
+
+      jasmine.clock().install();
+      validator.ViewCallbacks = { onValidField: jasmine.createSpy('valid'), onInvalidField: invalid };
+      model = create(Backbone.Model, { validation: { name: { required: true } } });
+      view = create(Backbone.View, { validator: validator }, { model: model });
+
+      view.bindValidation();
+      model.validate();
+      jasmine.clock().tick(50);
+      jasmine.clock().uninstall();
+
+      expect(invalid).toHaveBeenCalledWith('name', undefined, ['Is required'], model);
+    });
+  });
+
+  describe('#mixin', function() {
+    it('extends model class with validation', function() {
+      var Model = Backbone.Model.extend({ validation: { name: { required: true } } });
+
+      expect(Validator.mixin(Model)).toBe(Model);
+      expect(Model.prototype.validate).toBe(Validator.Extensions.Model.validate);
+      expect(new Model().isValid()).toBeFalsy();
+    });
+
+    it('extends view class with validation', function() {
+      var View = Backbone.View.extend();
+
+      Validator.mixin(View);
+      expect(View.prototype.bindValidation).toBe(Validator.Extensions.View.bindValidation);
+    });
+
+    it('preserves methods defined by the class', function() {
+      var isValid = function() {
+          return true;
+        },
+        Model = Validator.mixin(Backbone.Model.extend({ isValid: isValid }));
+
+      expect(Model.prototype.isValid).toBe(isValid);
+      expect(Model.prototype.validate).toBe(Validator.Extensions.Model.validate);
+    });
+
+    it('wraps set and save defined by the class', function() {
+      var calls = [],
+        Model = Backbone.Model.extend({
+          validation: {
+            email: { transform: 'trim', format: 'email' }
+          },
+
+          set: function(key, val, options) {
+            calls.push('set');
+            return Backbone.Model.prototype.set.call(this, key, val, options);
+          },
+
+          save: function(attrs, options) {
+            calls.push('save');
+            return Backbone.Model.prototype.save.call(this, attrs, options);
+          },
+
+          sync: function() {
+            calls.push('sync');
+          }
+        }),
+        model;
+
+      Validator.mixin(Model);
+      model = new Model();
+      calls = [];
+
+      expect(model.set({ email: ' user@example.com ' }, { sanitize: true })).toBeTruthy();
+      expect(model.get('email')).toEqual('user@example.com');
+      expect(calls).toEqual(['set']);
+
+      calls = [];
+      expect(model.save({ email: 'user_example_com' })).toBeFalsy();
+      expect(model.validationError).toEqual({ email: ['Does not match format'] });
+      expect(calls).toEqual(['save', 'set']);
+
+      calls = [];
+      model.save({ email: 'sam@example.com' });
+      expect(calls).toEqual(['save', 'set', 'sync']);
+    });
+
+    it('does not wrap methods twice', function() {
+      var Model = Validator.mixin(Backbone.Model.extend()),
+        set = Model.prototype.set;
+
+      Validator.mixin(Model);
+      expect(Model.prototype.set).toBe(set);
+      expect(Validator.mixin(Model.extend()).prototype.set).toBe(set);
+    });
+
+    it('makes class use validator instance it was called on', function() {
+      var validator = Validator.create(),
+        Model = validator.mixin(Backbone.Model.extend());
+
+      expect(Model.prototype.validator).toBe(validator);
+    });
+
+    describe('with coerce option', function() {
+      var Model;
+
+      beforeEach(function() {
+        Model = Validator.mixin(Backbone.Model.extend({
+          defaults: { name: 'Guest' },
+
+          validation: {
+            age: { type: 'number', 'default': 18 },
+            admin: { type: 'boolean', 'default': false }
+          },
+
+          parse: function(response) {
+            return response.user;
           }
-        }
+        }), { coerce: true });
       });
 
-      expectToPass('model', new User({ name: 'Sam' }));
-      expectToPass('model', new User({ name: '' }), false);
-      expectToPass('model', undefined);
-      expectToPass('model', null);
-      expectToFail('model', new User({ name: '' }), true, { name: [ 'Is required' ] });
-      expectToPass('model', { name: 'Sam' }, function(attrs) {
-        return new User(attrs);
+      it('adds defaults from validation', function() {
+        expect(new Model().attributes).toEqual({ age: 18, admin: false, name: 'Guest' });
       });
-    });
-  });
 
-  describe('#validate', function() {
-    var attrs, validation;
+      it('coerces parsed payload', function() {
+        var model = new Model({ user: { age: '42', admin: 'true' } }, { parse: true });
 
-    beforeEach(function() {
-      attrs = { name: 'a' };
-      validation = {
-        name: {
-          minLength: 3,
-          message: function(attr, value, expectation, validator) {
-            return 'Inline: ' + _.toArray(arguments).join(', ');
-          }
-        }
-      };
-    });
+        expect(model.get('age')).toBe(42);
+        expect(model.get('admin')).toBe(true);
+      });
 
-    it('allows error to be a function', function() {
-      var errors = Validator.validate(attrs, validation);
-      expect(errors).toEqual({ name: ['Inline: name, a, 3, minLength'] });
-    });
+      it('coerces set attributes', function() {
+        var model = new Model();
 
-    it('uses global error generator if specified', function() {
-      validation.name.message = null;
-      spyOn(Validator, 'createMessage').and.callFake(function() {
-        return 'Global: ' + _.initial(arguments).join(', ');
+        expect(model.set({ age: '21' }, { validate: true })).toBeTruthy();
+        expect(model.get('age')).toBe(21);
+        expect(model.set({ age: 'old' }, { validate: true })).toBeFalsy();
       });
 
-      var errors = Validator.validate(attrs, validation);
-      expect(errors).toEqual({ name: ['Global: name, a, 3, minLength'] });
-    });
+      it('could be enabled for set via option', function() {
+        var model = create(Backbone.Model, { validation: { age: { type: 'number' } } });
 
-    it('formats error message', function() {
-      validation.name.message = 'inline';
-      spyOn(Validator, 'formatMessage').and.callFake(function() {
-        return 'Formatted: ' + _.initial(arguments).join(', ');
+        model.set({ age: '21' }, { coerce: true });
+        expect(model.get('age')).toBe(21);
+        model.set({ age: '22' });
+        expect(model.get('age')).toBe('22');
       });
+    });
 
-      var errors = Validator.validate(attrs, validation);
-      expect(errors).toEqual({ name: ['Formatted: inline, name, a, 3, minLength'] });
+    it('provides validated base classes', function() {
+      var Model = Validator.ValidatedModel.extend({ validation: { name: { required: true } } });
+
+      expect(new Model().validate()).toEqual({ name: ['Is required'] });
+      expect(Validator.ValidatedView.prototype.bindValidation).toBe(Validator.Extensions.View.bindValidation);
     });
   });
 
@@ -322,6 +1788,75 @@ describe('Backbone.Validator', function() {
       });
     });
 
+    describe('with async validators', function() {
+      beforeEach(function() {
+        model.validation.field_4 = {
+          fn: function(value) {
+            return new Promise(function(resolve) {
+              resolve(value !== 'taken' || '#4 taken');
+            });
+          }
+        };
+      });
+
+      it('resolves errors via #validateAsync', function(done) {
+        model.set({ field_1: 1, field_2: 'user@example.com', field_3: 1, field_4: 'taken' });
+        model.validateAsync().then(function(errors) {
+          expect(errors).toEqual({ field_4: ['#4 taken'] });
+          done();
+        });
+      });
+
+      it('resolves validity via #isValidAsync', function(done) {
+        model.set({ field_1: 1, field_2: 'user@example.com', field_3: 1, field_4: 'free' });
+        model.isValidAsync().then(function(valid) {
+          expect(valid).toBe(true);
+          done();
+        });
+      });
+
+      it('waits for async validators before syncing on #save', function(done) {
+        model.save({ field_4: 'free' }).then(function() {
+          expect(model.sync).toHaveBeenCalled();
+          expect(model.get('field_4')).toEqual('free');
+          done();
+        });
+
+        expect(model.sync).not.toHaveBeenCalled();
+      });
+
+      it('does not sync on #save if async validation failed', function(done) {
+        var invalid = jasmine.createSpy('invalid');
+        model.on('invalid', invalid);
+
+        model.save({ field_4: 'taken' }).then(function(result) {
+          expect(result).toBe(false);
+          expect(model.sync).not.toHaveBeenCalled();
+          expect(model.validationError).toEqual({ field_4: ['#4 taken'] });
+          expect(invalid).toHaveBeenCalled();
+          done();
+        });
+      });
+
+      it('sets server attributes with async rules on partial #save', function() {
+        var success = jasmine.createSpy('success');
+
+        model.sync.and.callFake(function(method, model, options) {
+          options.success({ field_4: 'server' });
+        });
+
+        expect(model.save({ field_1: 1 }, { success: success })).not.toBe(false);
+        expect(model.sync.calls.argsFor(0)[2].pending).toBeUndefined();
+        expect(model.get('field_4')).toEqual('server');
+        expect(success).toHaveBeenCalled();
+      });
+
+      it('does not wait for async validators if sync validation failed', function() {
+        expect(model.save({ field_1: null, field_4: 'free' })).toBe(false);
+        expect(model.validationError).toEqual({ field_1: ['#1 required'] });
+      });
+    });
+
     describe('via #isValid', function() {
       it('validates passed attributes', function() {
         expect(model.isValid('field_1')).toBeFalsy();
@@ -358,6 +1893,71 @@ describe('Backbone.Validator', function() {
         model.set({field_1: 1, field_2: 'user@example.com', field_3: 1 }, {validate: true});
         expect(model.validationError).toBeNull();
       });
+
+      it('validates missing attributes in complete mode', function() {
+        model.set({field_1: 1}, {validate: true, complete: true});
+        expect(model.has('field_1')).toBeFalsy();
+        expect(_.keys(model.validationError)).toEqual(['field_2', 'field_3']);
+      });
+
+      it('validates against current attributes in complete mode', function() {
+        model.set({field_1: 1, field_2: 'user@example.com'});
+        model.set({field_3: 1}, {validate: true, complete: true});
+        expect(model.validationError).toBeNull();
+        expect(model.get('field_3')).toEqual(1);
+      });
+
+      it('uses complete mode from model\'s validationOptions', function() {
+        model.validationOptions = { complete: true };
+        model.set({field_1: 1}, {validate: true});
+        expect(_.keys(model.validationError)).toEqual(['field_2', 'field_3']);
+      });
+    });
+
+    describe('with sanitize option', function() {
+      beforeEach(function() {
+        model = create(Backbone.Model, {
+          validation: {
+            email: { transform: ['trim', 'toLowerCase'], format: 'email' }
+          }
+        });
+      });
+
+      it('stores sanitized values', function() {
+        expect(model.set({ email: ' John@Example.com ' }, { validate: true, sanitize: true })).toBeTruthy();
+        expect(model.get('email')).toEqual('john@example.com');
+      });
+
+      it('does not store values if validation failed', function() {
+        expect(model.set('email', ' john@ ', { validate: true, sanitize: true })).toBeFalsy();
+        expect(model.get('email')).toBeUndefined();
+      });
+
+      it('transforms values only once', function() {
+        model.validation.mark = {
+          transform: function(value) {
+            return value + '!';
+          },
+          maxLength: 2
+        };
+
+        expect(model.set({ mark: 'a' }, { validate: true, sanitize: true })).toBeTruthy();
+        expect(model.get('mark')).toEqual('a!');
+        expect(model.set({ mark: 'ab' }, { validate: true, sanitize: true })).toBeFalsy();
+        expect(model.get('mark')).toEqual('a!');
+      });
+
+      it('stores raw values by default', function() {
+        expect(model.set({ email: ' John@Example.com ' }, { validate: true })).toBeTruthy();
+        expect(model.get('email')).toEqual(' John@Example.com ');
+      });
+
+      it('could be enabled via validationOptions', function() {
+        spyOn(model, 'sync');
+        model.validationOptions = { sanitize: true };
+        model.save({ email: ' John@Example.com ' });
+        expect(model.get('email')).toEqual('john@example.com');
+      });
     });
 
     describe('trigger validation', function() {
@@ -380,6 +1980,155 @@ describe('Backbone.Validator', function() {
         expect(valid).toHaveBeenCalled();
         expect(invalid).not.toHaveBeenCalled();
       });
+
+      it('wraps single error into array', function() {
+        var error = { validator: 'required', message: 'Is required' };
+        model.triggerValidated(null, { name: error, email: null });
+        expect(invalid.calls.argsFor(0)[2]).toEqual({ name: [error] });
+      });
+
+      it('reports nested paths along with their root attributes', function() {
+        model.validation['address.city'] = { required: true };
+        model.triggerValidated({ address: { city: 'Paris' } });
+        expect(valid.calls.argsFor(0)[1]).toEqual({ address: { city: 'Paris' }, 'address.city': 'Paris' });
+      });
+    });
+
+    describe('with structured errors', function() {
+      it('stores error objects into validationError', function() {
+        model.validationOptions = { structured: true };
+        model.set({ field_1: null }, { validate: true });
+        expect(model.validationError.field_1[0]).toEqual(jasmine.objectContaining({
+          validator: 'required',
+          message: '#1 required',
+          path: 'field_1'
+        }));
+      });
+    });
+
+    describe('with warnings', function() {
+      var spy;
+
+      beforeEach(function() {
+        model = create(Backbone.Model, {
+          validation: {
+            password: [
+              { required: true },
+              { minLength: 8, severity: 'warning', message: 'Password is weak' }
+            ]
+          }
+        });
+
+        spy = jasmine.createSpy('validated');
+        model.on('validated', spy);
+        spyOn(model, 'sync');
+        jasmine.clock().install();
+      });
+
+      afterEach(function() {
+        jasmine.clock().uninstall();
+      });
+
+      it('returns only blocking errors and stores warnings', function() {
+        expect(model.validate({ password: 'secret' })).toBeNull();
+        expect(model.validationWarnings).toEqual({ password: ['Password is weak'] });
+
+        expect(model.validate({ password: 'long secret' })).toBeNull();
+        expect(model.validationWarnings).toBeNull();
+      });
+
+      it('does not block saving', function() {
+        model.save({ password: 'secret' });
+        expect(model.sync).toHaveBeenCalled();
+        expect(model.validationWarnings).toEqual({ password: ['Password is weak'] });
+      });
+
+      it('passes warnings with validated event', function() {
+        model.validate({ password: 'secret' });
+        jasmine.clock().tick(50);
+
+        expect(spy).toHaveBeenCalledWith(model, { password: 'secret' }, null, { password: ['Password is weak'] });
+      });
+    });
+
+    describe('with model-level validators', function() {
+      var contact = function(state) {
+          return !!(state.phone || state.email) || 'Either phone or email should be provided';
+        },
+        total = function(state) {
+          return state.total === state.amount || { total: 'Does not match amount' };
+        };
+
+      beforeEach(function() {
+        model = create(Backbone.Model, {
+          validation: {
+            name: { required: true },
+            phone: { format: /^\d+$/, on: 'contacts' }
+          },
+
+          modelValidation: [
+            contact,
+            { fn: total, attrs: ['total', 'amount'] }
+          ]
+        });
+
+        jasmine.clock().install();
+      });
+
+      afterEach(function() {
+        jasmine.clock().uninstall();
+      });
+
+      it('runs them on full validation', function() {
+        expect(model.validate()).toEqual({
+          name: ['Is required'],
+          base: ['Either phone or email should be provided']
+        });
+        expect(model.isValid()).toBeFalsy();
+
+        model.set({ name: 'Sam', email: 'sam@example.com' });
+        expect(model.validate()).toBeNull();
+      });
+
+      it('does not run them on partial validation of unrelated attributes', function() {
+        expect(model.set({ name: 'Bob' }, { validate: true })).toBeTruthy();
+        expect(model.isValid('name')).toBeTruthy();
+        expect(model.isValid(['name'])).toBeTruthy();
+        expect(model.validate({ phone: '' })).toBeNull();
+      });
+
+      it('runs ones concerning validated attributes', function() {
+        model.set({ total: 10, amount: 10 });
+
+        expect(model.set({ total: 20 }, { validate: true })).toBeFalsy();
+        expect(model.validationError).toEqual({ total: ['Does not match amount'] });
+        expect(model.set({ total: 10, name: 'Sam' }, { validate: true })).toBeTruthy();
+      });
+
+      it('runs them in complete mode', function() {
+        expect(model.validate({ name: 'Sam' }, { complete: true })).toEqual({
+          base: ['Either phone or email should be provided']
+        });
+      });
+
+      it('respects groups', function() {
+        expect(model.validate(null, { group: 'contacts' })).toBeNull();
+
+        model.modelValidation = [{ fn: contact, on: 'contacts' }];
+        expect(model.validate(null, { group: 'contacts' })).toEqual({ base: ['Either phone or email should be provided'] });
+        expect(model.validate(null, { group: 'default' })).toEqual({ name: ['Is required'] });
+      });
+
+      it('reports attributes with errors along with validated ones', function() {
+        var spy = jasmine.createSpy('validated');
+
+        model.set({ total: 10, amount: 10 });
+        model.on('validated', spy);
+        model.validate({ amount: 20 });
+        jasmine.clock().tick(50);
+
+        expect(spy).toHaveBeenCalledWith(model, { amount: 20, total: 10 }, { total: ['Does not match amount'] }, null);
+      });
     });
 
     describe('#processErrors', function() {
@@ -401,6 +2150,116 @@ describe('Backbone.Validator', function() {
     });
   });
 
+  describe('Collection', function() {
+    var collection, User, Users;
+
+    beforeEach(function() {
+      User = Backbone.Model.extend({
+        validation: {
+          name: { required: true }
+        }
+      });
+
+      Users = Backbone.Collection.extend({
+        model: User,
+        validation: {
+          models: { minItems: 1 },
+          email: { uniqueItems: true, message: 'Emails should be unique' },
+          primary: { contains: true, message: 'Primary user is required' },
+          share: {
+            fn: function(shares) {
+              return _.reduce(shares, function(memo, share) {
+                return memo + share;
+              }, 0) === 100 || 'Total share should be 100';
+            }
+          }
+        }
+      });
+
+      collection = new Users([
+        { name: 'Sam', email: 'sam@example.com', primary: true, share: 60 },
+        { name: 'Tom', email: 'tom@example.com', share: 40 }
+      ]);
+    });
+
+    it('passes validation with proper values', function() {
+      expect(collection.validate()).toBeNull();
+      expect(collection.isValid()).toBeTruthy();
+    });
+
+    it('runs collection-level rules', function() {
+      collection.at(1).set({ email: 'sam@example.com', share: 50 });
+      collection.at(0).set({ primary: false });
+
+      expect(collection.validate()).toEqual({
+        email: ['Emails should be unique'],
+        primary: ['Primary user is required'],
+        share: ['Total share should be 100']
+      });
+    });
+
+    it('validates list of models', function() {
+      collection.reset();
+      expect(collection.validate().models).toEqual(['Has too few items']);
+    });
+
+    it('combines errors of models', function() {
+      collection.at(1).set({ name: '' });
+      expect(collection.validate()).toEqual({ 'models[1].name': ['Is required'] });
+      expect(collection.isValid()).toBeFalsy();
+    });
+
+    it('triggers validated events', function() {
+      var validated = jasmine.createSpy('validated'),
+        invalid = jasmine.createSpy('invalid');
+
+      collection.on('collection:validated', validated);
+      collection.on('collection:validated:invalid', invalid);
+      collection.at(1).set({ name: '' });
+      collection.validate();
+
+      expect(validated).toHaveBeenCalledWith(collection, { 'models[1].name': ['Is required'] });
+      expect(invalid).toHaveBeenCalled();
+      expect(collection.validationError).toEqual({ 'models[1].name': ['Is required'] });
+    });
+
+    it('keeps validated events of models apart from own ones', function() {
+      var validated = jasmine.createSpy('validated'),
+        collectionValidated = jasmine.createSpy('collectionValidated');
+
+      jasmine.clock().install();
+      collection.on('validated', validated);
+      collection.on('collection:validated', collectionValidated);
+      collection.validate();
+      jasmine.clock().tick(50);
+      jasmine.clock().uninstall();
+
+      expect(collectionValidated.calls.count()).toEqual(1);
+      expect(validated.calls.count()).toEqual(2);
+      _.each(validated.calls.all(), function(call) {
+        expect(call.args[0] instanceof Backbone.Model).toBeTruthy();
+        expect(call.args.length).toEqual(4);
+      });
+    });
+
+    it('does not trigger validated events in silent mode', function() {
+      var validated = jasmine.createSpy('validated');
+
+      collection.on('collection:validated', validated);
+      collection.on('validated', validated);
+      collection.validate({ silent: true });
+
+      expect(validated).not.toHaveBeenCalled();
+    });
+
+    it('is provided as base class', function() {
+      var Collection = Validator.ValidatedCollection.extend({ validation: { models: { minItems: 1 } } });
+
+      expect(new Collection().validate()).toEqual({ models: ['Has too few items'] });
+      expect(Validator.mixin(Backbone.Collection.extend()).prototype.validate).toBe(Validator.Extensions.Collection.validate);
+    });
+  });
+
   describe('View', function() {
     var valid, invalid;
 
@@ -481,6 +2340,78 @@ describe('Backbone.Validator', function() {
       });
     });
 
+    describe('with warnings', function() {
+      it('runs onFieldWarning callback', function() {
+        var warning = jasmine.createSpy('warning');
+
+        model.validation.name = { minLength: 4, severity: 'warning' };
+        view.bindValidation(model, {
+          onValidField: valid,
+          onInvalidField: invalid,
+          onFieldWarning: warning
+        });
+
+        model.validate({ email: 'user@example.com', name: 'Sam' });
+        jasmine.clock().tick(50);
+
+        expect(valid).toHaveBeenCalledWith('name', 'Sam', model);
+        expect(warning).toHaveBeenCalledWith('name', 'Sam', ['Is too short'], model);
+        expect(warning.calls.count()).toEqual(1);
+      });
+    });
+
+    describe('with model-level validators', function() {
+      it('runs model callbacks with base errors', function() {
+        var modelInvalid = jasmine.createSpy('modelInvalid'),
+          modelValid = jasmine.createSpy('modelValid');
+
+        model.modelValidation = [{
+          fn: function(state) {
+            return !!state.email || 'Email should be provided';
+          },
+          attrs: ['email']
+        }];
+
+        view.bindValidation(model, {
+          onValidField: valid,
+          onInvalidField: invalid,
+          onModelInvalid: modelInvalid,
+          onModelValid: modelValid
+        });
+
+        model.validate({ email: '' });
+        jasmine.clock().tick(50);
+        expect(modelInvalid).toHaveBeenCalledWith(['Email should be provided'], model);
+
+        model.validate({ email: 'user@example.com' });
+        jasmine.clock().tick(50);
+        expect(modelValid).toHaveBeenCalledWith(model);
+      });
+    });
+
+    describe('default callbacks', function() {
+      beforeEach(function() {
+        view.$el.html('<input name="email">');
+      });
+
+      it('renders plain errors', function() {
+        ViewCallbacks.onInvalidField.call(view, 'email', '', ['Is required', 'Invalid email']);
+        expect(view.$('.error-text').text()).toEqual('Is required, Invalid email');
+      });
+
+      it('renders messages of structured errors', function() {
+        ViewCallbacks.onInvalidField.call(view, 'email', '', [{ validator: 'required', message: 'Is required' }]);
+        expect(view.$('.error-text').text()).toEqual('Is required');
+      });
+
+      it('removes errors for valid field', function() {
+        ViewCallbacks.onInvalidField.call(view, 'email', '', ['Is required']);
+        ViewCallbacks.onValidField.call(view, 'email', 'user@example.com');
+        expect(view.$('.error-text').length).toEqual(0);
+        expect(view.$('input').hasClass('error')).toBeFalsy();
+      });
+    });
+
     describe('when view removed', function() {
       it('unbinds `validated` events', function() {
         view.bindValidation(model, {
@@ -15,6 +15,7 @@ module.exports = function(config) {
       'backbone/test/vendor/jquery.js',
       'backbone/test/vendor/underscore.js',
       'backbone/backbone.js',
+      'node_modules/es6-promise/dist/es6-promise.auto.js',
       'backbone-validator.js',
       'spec/**/*-spec.js'
     ],